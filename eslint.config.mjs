@@ -4,11 +4,15 @@ import eslintConfigPrettier from 'eslint-config-prettier';
 
 // noinspection JSUnusedGlobalSymbols
 export default [
+	{
+		name: 'ignored',
+		ignores: ['coverage/**'],
+	},
 	{
 		name: 'source',
-		files: ['src/**/*.js'],
+		files: ['src/**/*.{js,mjs}'],
 		ignores: [
-			'tests/**/*.js',
+			'tests/**/*.{js,mjs}',
 			'docs/**/*',
 			'eslint.config.mjs',
 			'jest.config.js'
@@ -51,6 +55,9 @@ export default [
 			],
 			'prefer-named-capture-group': 'off',
 			'max-params': ['error', 5],
+			// Functions may call the ones defined after them, e.g. mutually recursive parsers, as long as they are not
+			// called before these are defined
+			'no-use-before-define': ['error', { variables: false }],
 			'no-unused-vars': [
 				'warn',
 				{
@@ -61,18 +68,25 @@ export default [
 			],
 		},
 	},
+	{
+		name: 'logger',
+		files: ['src/logger.mjs'],
+		rules: {
+			'no-console': 'off',
+		},
+	},
 	{
 		name: 'tests',
-		files: ['tests/**/*.js'],
+		files: ['tests/**/*.{js,mjs}'],
 		ignores: [
-			'src/**/*.js',
+			'src/**/*.{js,mjs}',
 			'docs/**/*',
 			'eslint.config.mjs',
 			'jest.config.js'
 		],
 		languageOptions: {
 			ecmaVersion: 'latest',
-			sourceType: 'script',
+			sourceType: 'module',
 			globals: {
 				...globals.browser,
 				...globals.node,
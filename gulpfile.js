@@ -1,20 +1,18 @@
-const babel = require('gulp-babel');
 const {dest, series, src, watch} = require('gulp');
 const fs = require('fs');
 
 const cleanTask = async () => fs.rmSync('./bin', {recursive: true, force: true});
 
-const buildTask = () => src('./src/**/*.js')
-	.pipe(babel({
-		presets: ['@babel/env'],
-	}))
+// Sources are native ES modules that run as-is on supported Node versions,
+// so they are shipped untouched to keep their .mjs extensions and imports intact
+const buildTask = () => src('./src/**/*.mjs')
 	.on('error', function (error) {
 		console.log(error.toString());
 		this.emit('end');
 	})
 	.pipe(dest('./bin'));
 
-const watchTask = () => watch('./src/**/*.js', series(cleanTask, buildTask));
+const watchTask = () => watch('./src/**/*.mjs', series(cleanTask, buildTask));
 
 exports.clean = cleanTask;
 exports.build = series(cleanTask, buildTask);
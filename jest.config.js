@@ -77,7 +77,7 @@ const config = {
 	// An array of file extensions your modules use
 	moduleFileExtensions: [
 		'js',
-		// "mjs",
+		'mjs',
 		// "cjs",
 		// "jsx",
 		// "ts",
@@ -153,10 +153,7 @@ const config = {
 	// testLocationInResults: false,
 
 	// The glob patterns Jest uses to detect test files
-	// testMatch: [
-	//   "**/__tests__/**/*.[jt]s?(x)",
-	//   "**/?(*.)+(spec|test).[tj]s?(x)"
-	// ],
+	testMatch: ['<rootDir>/tests/**/*.test.mjs'],
 
 	// An array of regexp pattern strings that are matched against all test paths, matched tests are skipped
 	// testPathIgnorePatterns: [
@@ -173,7 +170,8 @@ const config = {
 	// testRunner: "jest-circus/runner",
 
 	// A map from regular expressions to paths to transformers
-	// transform: undefined,
+	// Sources are native ES modules, loaded as they are with Node's '--experimental-vm-modules' flag
+	transform: {},
 
 	// An array of regexp pattern strings that are matched against all source file paths, matched files will skip transformation
 	// transformIgnorePatterns: [
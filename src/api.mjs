@@ -0,0 +1,107 @@
+/**
+ * @module API
+ *
+ * @description
+ * This module provides the Node API of JsMkDocs, allowing build scripts to generate documentation without
+ * spawning the CLI tool. Every call is independent from the others: options are resolved per call, so several
+ * configurations can be generated in the same process.
+ *
+ * @requires ./options.mjs
+ * @requires ./parser.mjs
+ * @requires ./validator.mjs
+ * @requires ./watcher.mjs
+ * @requires ./server.mjs
+ * @requires ./builder.mjs
+ * @requires ./writer.mjs
+ * @requires ./plugins.mjs
+ *
+ * @example
+ * import { generate } from 'jsmkdocs';
+ *
+ * const { docsTrees, documents } = await generate({ source: ['src'], output: './docs' });
+ */
+
+import { generateDocs, renderDocs } from './writer.mjs';
+import { getDefaultOptions, parseOptions } from './options.mjs';
+import { getRenderableComments, reportProblems, validateComments } from './validator.mjs';
+import { loadExtensions, transformComments, transformDocsTrees } from './plugins.mjs';
+import { getDocsTrees } from './builder.mjs';
+import { getJsMkDocsComments } from './parser.mjs';
+import { logSuccess } from './logger.mjs';
+import { serveDocs } from './server.mjs';
+import { watchDocs } from './watcher.mjs';
+
+/**
+ * @typedef {Object} GenerateResult
+ * @property {Object} options - Options the documentation was generated with, defaults included.
+ * @property {Object[]} docsTrees - Docs trees built from the parsed comments.
+ * @property {import('./writer.mjs').RenderedDocs[]} documents - Markdown pages of each document, and the files written
+ * for the target or the documentation model.
+ * @property {import('./validator.mjs').CommentProblem[]} problems - Malformed comments found in the sources.
+ */
+
+/**
+ * Parses the sources, builds the docs trees and renders them, writing the result to the output directory
+ * unless told otherwise or running in check mode. Malformed comments are reported as warnings; those that
+ * cannot be rendered are left out of the docs, and in strict mode any of them aborts the generation.
+ *
+ * @param {Object} [options] - Same options as the configuration file, missing ones take their default value.
+ * @param {Object} [settings] - Settings of this call.
+ * @param {boolean} [settings.write] - Whether the documents are written to the output directory.
+ * @returns {Promise<GenerateResult>} The generated documentation.
+ * @throws {Error} If an option is unknown or mistyped, the templates or plugins cannot be loaded, a plugin fails,
+ * a malformed comment is found in strict mode, or a document could not be written.
+ */
+const generate = async (options = {}, { write = true } = {}) => {
+	const resolvedOptions = { ...getDefaultOptions(), ...parseOptions(options, 'generate()') };
+	const extensions = await loadExtensions(resolvedOptions);
+	const comments = transformComments(extensions.plugins, getJsMkDocsComments(resolvedOptions), resolvedOptions);
+	const problems = validateComments(comments);
+
+	reportProblems(problems);
+
+	if (resolvedOptions.strict && problems.length > 0) {
+		throw Object.assign(new Error('Malformed comments found in strict mode, no documentation was written'), {
+			problems,
+		});
+	}
+
+	if (resolvedOptions.check && problems.length === 0) {
+		logSuccess('No malformed comments found');
+	}
+
+	const docsTrees = transformDocsTrees(
+		extensions.plugins,
+		getDocsTrees(getRenderableComments(comments, problems)),
+		resolvedOptions
+	);
+	const documents =
+		write && !resolvedOptions.check
+			? await generateDocs(docsTrees, resolvedOptions, extensions)
+			: docsTrees.map((dt) => renderDocs(dt, resolvedOptions, extensions));
+
+	return { options: resolvedOptions, docsTrees, documents, problems };
+};
+
+/**
+ * Generates the documentation, then keeps it up to date as the sources change: only the changed files are parsed
+ * again and only the pages whose content changed are rewritten. Malformed comments are reported as warnings,
+ * and in check mode nothing is written.
+ *
+ * @param {Object} [options] - Same options as the configuration file, missing ones take their default value.
+ * @returns {Promise<import('./watcher.mjs').Watch>} Resolves once the sources are watched, with a way to stop it.
+ * @throws {Error} If an option is unknown or mistyped, or the templates or plugins cannot be loaded.
+ */
+const watch = (options = {}) => watchDocs({ ...getDefaultOptions(), ...parseOptions(options, 'watch()') });
+
+/**
+ * Builds the documentation in memory and serves it as HTML with live reload, without writing anything to disk.
+ *
+ * @param {Object} [options] - Same options as the configuration file, missing ones take their default value.
+ * @returns {Promise<import('./server.mjs').Serve>} Resolves once the documentation is served, with a way to stop it.
+ * @throws {Error} If an option is unknown or mistyped, the templates or plugins cannot be loaded, or the server
+ * cannot listen on the port.
+ */
+const serve = (options = {}) => serveDocs({ ...getDefaultOptions(), ...parseOptions(options, 'serve()') });
+
+export { generate, serve, watch };
@@ -0,0 +1,302 @@
+/**
+ * Iterates through a comments array and returns an array with a
+ * 'docsTree' objects for each specified document. Each 'docsTree'
+ * object represents the structure of the document in a convenient
+ * form for traversing, along with an index of the symbols it
+ * documents so comments can link to each other.
+ */
+
+import { getDocsTitle, getPageAnchors, getPageTitle } from './markdown.mjs';
+import path from 'path';
+import { slugifyFilename } from './slugger.mjs';
+
+// Title of the pages holding the sections given to a folder, or to the document itself
+const overviewName = 'Overview';
+
+const parsePathNames = (comment) => {
+	const [docTag] = comment.tags.filter((t) => t.type === 'docs');
+	return docTag.string.split(/\s*\/{2}\s*/u);
+};
+
+const getPage = (docsTree, pageName) => {
+	if (!docsTree.subPages) {
+		docsTree.subPages = [];
+	}
+
+	let [page] = docsTree.subPages.filter((p) => p.pageName === pageName);
+
+	if (!page) {
+		page = { pageName };
+		docsTree.subPages.push(page);
+	}
+
+	return page;
+};
+
+const buildPages = (docsTree, pathNames, comment) => {
+	if (pathNames.length > 1) {
+		const page = getPage(docsTree, pathNames[0]);
+		buildPages(page, pathNames.slice(1), comment);
+	} else {
+		const [section] = pathNames;
+
+		if (!docsTree.sections) {
+			docsTree.sections = {};
+		}
+
+		if (!docsTree.sections[section]) {
+			docsTree.sections[section] = [];
+		}
+
+		docsTree.sections[section].push(comment);
+	}
+};
+
+const assignCommentsToDocsTrees = (comments) => {
+	const docsTrees = [];
+
+	comments.forEach((c) => {
+		const [docsName] = parsePathNames(c);
+
+		let [docsTree] = docsTrees.filter((dt) => dt.docsName === docsName);
+
+		if (!docsTree) {
+			docsTree = { docsName, comments: [] };
+			docsTrees.push(docsTree);
+		}
+
+		docsTree.comments.push(c);
+	});
+
+	return docsTrees;
+};
+
+// Pages and folders whose names give the same file name, e.g. 'User Api' and 'user-api', are numbered so that they do not
+// overwrite each other, e.g. 'user-api-2.md'
+const getUniquePath = (basePath, ext, takenPaths) => {
+	let uniquePath = basePath;
+
+	for (let count = 2; takenPaths.has(`${uniquePath}${ext}`); count += 1) {
+		uniquePath = `${basePath}-${count}`;
+	}
+
+	takenPaths.add(`${uniquePath}${ext}`);
+	return uniquePath;
+};
+
+// Pages holding other pages are rendered as folders, the others as markdown files. Paths are relative to the
+// markdown folder and always use forward slashes, as expected by mkdocs.yml. Renamed pages and folders are
+// gathered in 'collisions'
+const assignPagePaths = (pages, dirPath, takenPaths, collisions) =>
+	pages.forEach((p) => {
+		const basePath = path.posix.join(dirPath, slugifyFilename(p.pageName));
+		const ext = p.subPages ? '/' : '.md';
+		const uniquePath = getUniquePath(basePath, ext, takenPaths);
+
+		if (uniquePath !== basePath) {
+			collisions.push({ pageName: p.pageName, path: `${basePath}${ext}`, uniquePath: `${uniquePath}${ext}` });
+		}
+
+		if (p.subPages) {
+			assignPagePaths(p.subPages, uniquePath, takenPaths, collisions);
+		} else {
+			p.path = `${uniquePath}.md`;
+		}
+	});
+
+// The first symbol documented under a name is the one links point to
+const indexPageSymbols = (page, folder, symbols) =>
+	getPageAnchors(page)
+		.flatMap((s) => s.comments)
+		.forEach(({ name, anchor }) => {
+			if (!symbols.has(name)) {
+				symbols.set(name, { name, folder, path: page.path, anchor });
+			}
+		});
+
+const indexSymbols = (pages, folder, symbols = new Map()) => {
+	pages.forEach((p) => (p.subPages ? indexSymbols(p.subPages, folder, symbols) : indexPageSymbols(p, folder, symbols)));
+	return symbols;
+};
+
+/**
+ * Parses the weight given by an @order or @sectionOrder tag.
+ *
+ * @param {Object} tag - The @order or @sectionOrder tag.
+ * @returns {?number} The weight, or `null` if the tag does not hold a number.
+ */
+export const parseWeight = (tag) => (/^\s*-?\d+(?:\.\d+)?\s*$/u.test(tag.string) ? Number(tag.string) : null);
+
+// The first valid weight given to a page or section wins, and those given none come last
+const getWeight = (comments, tagType) =>
+	comments
+		.flatMap((c) => c.tags.filter((t) => t.type === tagType))
+		.map(parseWeight)
+		.find((w) => w !== null) ?? Infinity;
+
+// Folders weigh as much as their lightest page
+const getPageWeight = (page) =>
+	page.subPages
+		? Math.min(...page.subPages.map(getPageWeight))
+		: getWeight(Object.values(page.sections).flat(), 'order');
+
+const compareEntries = (a, b) => a.weight - b.weight || a.title.localeCompare(b.title);
+
+// Comments follow the order of the sources, whatever the order the files were parsed in. The sort being stable,
+// comments of the same file keep their order
+const compareComments = (a, b) => (a.file ?? '').localeCompare(b.file ?? '');
+
+const sortSections = (sections) =>
+	Object.fromEntries(
+		Object.entries(sections)
+			.map(([name, comments]) => ({ name, comments, title: name, weight: getWeight(comments, 'sectionOrder') }))
+			.sort(compareEntries)
+			.map((e) => [e.name, [...e.comments].sort(compareComments)])
+	);
+
+// Sections given to a folder, or to the document itself, would have no page of their own: they are moved to an
+// overview page listed first in the folder, joining the sections of its 'Overview' page if it has one
+const addOverviewPage = (page) => {
+	if (!page.sections) {
+		return;
+	}
+
+	const overview = page.subPages.find((sp) => sp.pageName === overviewName && !sp.subPages) ?? {
+		pageName: overviewName,
+		sections: {},
+	};
+
+	Object.entries(page.sections).forEach(([name, comments]) => {
+		overview.sections[name] = [...(overview.sections[name] ?? []), ...comments];
+	});
+
+	overview.sections = sortSections(overview.sections);
+	page.subPages = [overview, ...page.subPages.filter((sp) => sp !== overview)];
+	delete page.sections;
+};
+
+// Pages and sections are ordered by weight, then alphabetically, so the nav does not change when files are renamed
+const sortPages = (pages) =>
+	pages
+		.map((page) => {
+			if (page.subPages) {
+				page.subPages = sortPages(page.subPages);
+				addOverviewPage(page);
+			} else {
+				page.sections = sortSections(page.sections);
+			}
+
+			return { page, title: getPageTitle(page), weight: getPageWeight(page) };
+		})
+		.sort(compareEntries)
+		.map((e) => e.page);
+
+/**
+ * Returns the name of the document a comment belongs to, as given by its `@docs` tag.
+ *
+ * @param {Object} comment - Comment with a `@docs` tag.
+ * @returns {string} Document name.
+ */
+export const getDocsName = (comment) => parsePathNames(comment)[0];
+
+/**
+ * Names the folder of each document in the output directory like the file names of its pages, e.g. `c-api` for
+ * `C++ API`, so that documents are never written outside of it nor in nested folders. Documents whose folder name is
+ * already taken, e.g. `API` and `Api`, are numbered in the alphabetical order of their names, e.g. `api-2`.
+ *
+ * @param {string[]} docsNames - Names of the documents, as given by their `@docs` tags.
+ * @returns {Map<string, string>} The folder of each document, keyed by its name.
+ */
+export const getDocsFolders = (docsNames) => {
+	const takenFolders = new Set();
+
+	return new Map(
+		[...new Set(docsNames)]
+			.sort((a, b) => a.localeCompare(b))
+			.map((docsName) => [docsName, getUniquePath(slugifyFilename(docsName), '', takenFolders)])
+	);
+};
+
+/**
+ * @typedef {Object} DocsSymbol
+ * @property {string} name - Name of the documented symbol.
+ * @property {string} folder - Folder of the document documenting it.
+ * @property {string} path - Path of the page documenting it, relative to the markdown folder.
+ * @property {string} anchor - Anchor of its heading in the page.
+ */
+
+/**
+ * @typedef {Object} PathCollision
+ * @property {string} pageName - Name of the page or folder that was renamed.
+ * @property {string} path - Path it would have had, taken by another page or folder, e.g. `user-api.md`.
+ * @property {string} uniquePath - Path it was given instead, e.g. `user-api-2.md`.
+ */
+
+/**
+ * Gives each page of a docs tree its path and indexes the symbols documented in it by name, in its `symbols`
+ * property. Pages and folders whose path is already taken, e.g. by the home page or by a page whose name gives the
+ * same file name, are numbered and listed in its `pathCollisions` property. Docs trees whose pages or sections changed since
+ * they were built must be indexed again.
+ *
+ * @param {Object} docsTree - Docs tree as returned by `getDocsTrees`.
+ */
+export const indexDocsTree = (docsTree) => {
+	docsTree.pathCollisions = [];
+	assignPagePaths(docsTree.subPages ?? [], '', new Set(['index.md']), docsTree.pathCollisions);
+	docsTree.symbols = indexSymbols(docsTree.subPages ?? [], docsTree.folder ?? slugifyFilename(docsTree.docsName));
+};
+
+/**
+ * Indexes each docs tree, then adds the symbols of the other documents to the index of each one, so comments can link
+ * to the symbols of any document. Symbols of the document itself take precedence over those of the others, and the
+ * symbols of the documents listed first over those of the following ones.
+ *
+ * @param {Object[]} docsTrees - Docs trees as returned by `getDocsTrees`.
+ */
+export const indexDocsTrees = (docsTrees) => {
+	const symbols = new Map();
+
+	docsTrees.forEach((dt) => {
+		indexDocsTree(dt);
+		dt.symbols.forEach((s, name) => {
+			if (!symbols.has(name)) symbols.set(name, s);
+		});
+	});
+
+	docsTrees.forEach((dt) => {
+		dt.symbols = new Map([...symbols, ...dt.symbols]);
+	});
+};
+
+/**
+ * Groups the comments by document and builds the page and section structure of each document, then indexes it.
+ * Pages and sections are ordered by the weight given by their @order and @sectionOrder tags, then alphabetically
+ * by title, and comments by source file. Sections given to a folder or to the document itself, e.g. by
+ * `@docs Api // Users // Helpers` next to `@docs Api // Users // Accounts // Login`, are moved to its overview page,
+ * listed first in it.
+ *
+ * @param {Object[]} comments - Renderable comments with a `@docs` tag.
+ * @param {Map<string, string>} [folders] - Folder of each document as given by `getDocsFolders`, those of the
+ * documents of the given comments by default. Given when only some of the documents are built.
+ * @returns {Object[]} One docs tree per document, in the alphabetical order of their titles, along with its
+ * `folder` and its `symbols` as a `Map<string, DocsSymbol>`.
+ */
+export const getDocsTrees = (comments, folders = getDocsFolders(comments.map(getDocsName))) => {
+	const docsTrees = assignCommentsToDocsTrees(comments);
+
+	docsTrees.forEach((dt) => {
+		dt.folder = folders.get(dt.docsName);
+
+		dt.comments.forEach((c) => {
+			buildPages(dt, parsePathNames(c).slice(1), c);
+		});
+
+		dt.subPages = sortPages(dt.subPages ?? []);
+		addOverviewPage(dt);
+	});
+
+	docsTrees.sort((a, b) => getDocsTitle(a).localeCompare(getDocsTitle(b)));
+	indexDocsTrees(docsTrees);
+
+	return docsTrees;
+};
@@ -1,5 +1,9 @@
-import minimist from 'minimist';
+import { defaults, parseOptions } from './options.mjs';
+import { generate, serve, watch } from './api.mjs';
+import { loadConfig, resolveConfigPaths } from './config.mjs';
 import { logClean, logError, logInfo } from './logger.mjs';
+import { createRequire } from 'module';
+import minimist from 'minimist';
 
 /**
  * @module CLI
@@ -7,11 +11,16 @@ import { logClean, logError, logInfo } from './logger.mjs';
  * @description
  * This module provides a CLI tool for generating markdown documentation for JavaScript files.
  * It parses command-line arguments using `minimist` and applies default options such as source directories,
- * output directories, ignore lists, regex patterns, and more. The tool supports displaying help messages
- * and version information.
+ * output directories, ignore lists, glob patterns, and more. The same options can be supplied by a project
+ * configuration file, with command-line arguments taking precedence over it. Besides building the documentation,
+ * the tool can serve a live preview of it (`serve` command) and supports displaying help messages and version
+ * information.
  *
  * @requires minimist
  * @requires ./logger.mjs
+ * @requires ./options.mjs
+ * @requires ./config.mjs
+ * @requires ./api.mjs
  *
  * The main functionalities of this module include:
  * - Parsing command-line arguments (`parseArgs` function)
@@ -21,123 +30,81 @@ import { logClean, logError, logInfo } from './logger.mjs';
  */
 
 /**
- * @typedef {Object} CLIArg
- * @property {string} alias - Shortened version of the option
- * @property {string} desc - Description of the option
- * @property {string|array|RegExp|boolean} value - Default value of the option
- * @property {?function} [parse] - Function to parse the value of the option
- * @property {?string} [example] - Example usage of the option
+ * Number of leading `process.argv` entries that are not user arguments (the execution path and script name).
+ *
+ * @constant
+ * @type {number}
  */
+const argvOffset = 2;
 
 /**
- * Default configuration options for the CLI tool.
- * Each option follows the structure defined in the {@link CLIArg} typedef.
+ * Commands of the CLI tool, given as the first unnamed argument.
  *
  * @constant
- * @type {Object.<string, CLIArg>}
- * @property {CLIArg} version - Option to display the version number.
- * @property {CLIArg} help - Option to display the help message.
- * @property {CLIArg} source - Option to specify source files/directories to parse.
- * @property {CLIArg} ignore - Option to specify files/directories to ignore.
- * @property {CLIArg} output - Option to specify the output directory for markdown files.
- * @property {CLIArg} regex - Option to specify a regex pattern to match files for parsing.
- * @property {CLIArg} pattern - Option to specify a glob pattern to match files for parsing.
+ * @type {Object.<string, {desc: string}>}
  */
-const defaults = Object.freeze({
-	version: Object.freeze({
-		alias: 'v',
-		desc: 'Display the version number',
-		value: false,
-	}),
-	help: Object.freeze({
-		alias: 'h',
-		desc: 'Display this help message',
-		value: false,
-	}),
-	source: Object.freeze({
-		alias: 's',
-		desc: 'Comma-separated list of source files/directories to parse',
-		value: Object.freeze(['./']),
-		parse: (value) => value.split(','),
-		example: '--source src,lib',
-	}),
-	ignore: Object.freeze({
-		alias: 'i',
-		desc: 'Comma-separated list of files/directories to ignore',
-		value: Object.freeze(['.gitignore', '.git', 'node_modules']),
-		parse: (value) => value.split(','),
-		example: '--ignore .git,node_modules',
-	}),
-	output: Object.freeze({
-		alias: 'o',
-		desc: 'Directory to output the generated markdown files',
-		value: './docs_src',
-		example: '--output ./docs',
-	}),
-	regex: Object.freeze({
-		alias: 'r',
-		desc: 'Regex that files must match to be parsed',
-		value: /\.js$/u,
-		parse: (value) => new RegExp(value, 'u'),
-		example: '--regex "\\.ts$"',
-	}),
-	pattern: Object.freeze({
-		alias: 'g',
-		desc: 'Glob pattern to match files for parsing',
-		value: '**/*.js',
-		example: '--pattern "**/*.ts"',
-	}),
+const commands = Object.freeze({
+	build: Object.freeze({ desc: 'Generate the documentation (default)' }),
+	serve: Object.freeze({ desc: 'Preview the documentation in the browser, reloading it as the sources change' }),
 });
 
 /**
- * Parses the command-line arguments using minimist and applies the appropriate default values and parsing logic.
- * Logs errors for invalid options and processes the arguments accordingly.
+ * Parses the command-line arguments using minimist and applies the appropriate parsing logic.
+ * Gathers errors for unknown options and invalid values, and processes the other arguments accordingly.
+ * Only the options actually given are returned, so they can be laid over the configuration file and defaults.
  *
- * @returns {Object} Parsed command-line arguments with applied defaults and parsing logic.
+ * @returns {Object} Parsed command-line arguments, along with the `command` to run and the `errors` of the unknown
+ * options and of the values outside the choices of their option.
  */
 const parseArgs = () => {
 	// Discard the execution path and script name (argv[0] and argv[1])
-	const args = minimist(process.argv.slice(2));
+	const args = minimist(process.argv.slice(argvOffset));
 
-	// Discard unnamed arguments
+	// The first unnamed argument is the command, the others are discarded
+	const [command = 'build'] = args._;
 	delete args._;
 
-	// Set default values
 	const parsedArgs = {};
-	for (const [k, v] of Object.entries(defaults)) {
-		parsedArgs[k] = v.value;
-	}
+	const errors = [];
 
 	// Iterate over the arguments and expand them
 	Object.keys(args).forEach((k) => {
 		// Get expanded key if alias is used
 		const arg = k.length > 1 ? k : Object.keys(defaults).find((key) => defaults[key].alias === k);
 
+		// Unknown options abort the run, as they would be in a configuration file
 		if (!defaults[arg]) {
-			logError(`'${k}' is not a valid option!`);
-			logInfo('Use the --help option to see the available options.');
+			errors.push(`'${k}' is not a valid option!`);
 			return;
 		}
 
-		// Get the default value and parse function
-		const { defVal, parse } = defaults[arg];
-		let value = args[k] || defVal;
+		// Get the default value, parse function and allowed values
+		const { value: defVal, parse, choices } = defaults[arg];
+		// Valued options given as a bare flag (e.g. `--output` with nothing after it) keep their default
+		const isBareFlag = typeof args[k] === 'boolean' && typeof defVal !== 'boolean';
+		let value = isBareFlag || args[k] === '' ? defVal : args[k];
+
+		// Parse the value if a function is provided and it was not defaulted
+		if (parse && value !== defVal) value = parse(value);
 
-		// Parse the value if a function is provided
-		if (parse) value = parse(value);
+		// Values outside the choices of the option abort the run, as they would be in a configuration file
+		if (choices && !choices.includes(value)) {
+			errors.push(`'${arg}' must be one of ${choices.join(', ')}!`);
+			return;
+		}
 
 		// Persist the argument
 		parsedArgs[arg] = value;
 	});
 
-	return parsedArgs;
+	return { ...parsedArgs, command: String(command), errors };
 };
 
 /**
  * Displays the version number of the CLI tool by reading it from the package.json file and exits the process.
  */
 const displayVersion = () => {
-	const { version } = require('../package.json');
+	const { version } = createRequire(import.meta.url)('../package.json');
 	logClean(`jsmkdocs version v${version}`);
 	process.exit();
 };
@@ -147,7 +114,12 @@ const displayVersion = () => {
  * Also displays the default values and example usage for each option, then exits the process.
  */
 const displayHelp = () => {
-	logClean('Usage: jsmkdocs [options]');
+	logClean('Usage: jsmkdocs [command] [options]');
+
+	logClean('\nCommands:');
+	Object.keys(commands).forEach((k) => logClean(`\t${k}\t${commands[k].desc}`));
+
+	logClean('\nOptions:');
 	Object.keys(defaults).forEach((k) => {
 		const { alias, desc } = defaults[k];
 		logClean(`\t-${alias} --${k}\t${desc}`);
@@ -156,7 +128,7 @@ const displayHelp = () => {
 	logClean('\nDefault values:');
 	Object.keys(defaults).forEach((k) => {
 		const { value } = defaults[k];
-		if (!['help', 'version'].includes(k)) logClean(`\t${k}: ${value}`);
+		if (!defaults[k].cliOnly) logClean(`\t${k}: ${value}`);
 	});
 
 	logClean('\nExamples:\n');
@@ -167,16 +139,16 @@ const displayHelp = () => {
 	logClean('\tDisplay the version number');
 	logClean('\t\tjsmkdocs --version\n');
 
-	logClean('\tBuild documentation for all .ts files in src and lib directories\n' +
-		'\twhile ignoring .git and node_modules directories\n' +
-		'\tand outputting the generated markdown files to the docs directory');
+	logClean(
+		'\tBuild documentation for all .js and .ts files but tests in src and lib directories\n' +
+			'\twhile ignoring .git, node_modules and dist directories\n' +
+			'\tand outputting the generated markdown files to the docs directory'
+	);
 
-	let message = 'jsmkdocs';
-	Object.keys(defaults).forEach((k) => {
-		const { example } = defaults[k];
-		if (example) message += ` ${example} \\\n\t\t\t`;
-	});
-	logClean('\t\t' + message.trim().substring(0, message.length - 3));
+	const examples = Object.values(defaults)
+		.filter(({ example }) => example)
+		.map(({ example }) => example);
+	logClean(`\t\tjsmkdocs ${examples.join(' \\\n\t\t\t')}`);
 
 	process.exit();
 };
@@ -184,17 +156,63 @@ const displayHelp = () => {
 /**
  * Main execution function for the CLI tool.
  * Parses the arguments and calls the appropriate action (version or help) based on the user's input.
+ * Otherwise, runs the documentation pipeline: parse the sources, build the docs trees and write them to the output,
+ * once or every time the sources change in watch mode. The `serve` command previews it instead of writing it.
+ * Options are resolved from the defaults, overridden by the configuration file, overridden by the arguments.
+ * Any failure is reported and makes the process exit with a non-zero code once the pipeline has settled.
+ *
+ * @returns {Promise<void>} Resolves once the documentation has been generated or has failed.
  */
-const run = () => {
-	const args = parseArgs();
+const run = async () => {
+	const { command, errors, config: configPath, help, version, watch: isWatching, ...args } = parseArgs();
 
-	if (args.version) {
+	if (version) {
 		displayVersion();
 	}
 
-	if (args.help) {
+	if (help) {
 		displayHelp();
 	}
+
+	if (!commands[command]) {
+		logError(`'${command}' is not a valid command!`);
+		logInfo('Use the --help option to see the available commands.');
+		process.exitCode = 1;
+		return;
+	}
+
+	if (errors.length > 0) {
+		errors.forEach(logError);
+		logInfo('Use the --help option to see the available options and values.');
+		process.exitCode = 1;
+		return;
+	}
+
+	try {
+		const loadedConfig = await loadConfig(configPath);
+		let config = {};
+
+		if (loadedConfig) {
+			config = resolveConfigPaths(
+				parseOptions(loadedConfig.config, `'${loadedConfig.filePath}'`),
+				loadedConfig.filePath
+			);
+			logInfo(`Using configuration file '${loadedConfig.filePath}'`);
+		}
+
+		if (command === 'serve') {
+			await serve({ ...config, ...args });
+		} else if (isWatching) {
+			await watch({ ...config, ...args });
+		} else {
+			await generate({ ...config, ...args });
+		}
+	} catch (error) {
+		logError(error.message);
+
+		// Let pending output flush before exiting, but make sure CI sees the failure
+		process.exitCode = 1;
+	}
 };
 
 export default run;
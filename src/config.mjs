@@ -0,0 +1,175 @@
+/**
+ * @module Config
+ *
+ * @description
+ * Locates and loads a JsMkDocs project configuration file. The configuration can be supplied by
+ * (in order of precedence) a `jsmkdocs.config.js`, `jsmkdocs.config.mjs`, `jsmkdocs.config.cjs`
+ * or `.jsmkdocsrc.json` file in the working directory, or a `jsmkdocs` key in its `package.json`.
+ * An explicit file path takes precedence over all of them.
+ *
+ * This module only loads the raw configuration object, validating its options is up to the caller. Once validated,
+ * the paths the configuration holds are resolved against the directory of its file (`resolveConfigPaths` function),
+ * so the same configuration works from any working directory.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Configuration file names looked up in the working directory, in order of precedence.
+ *
+ * @constant
+ * @type {string[]}
+ */
+const configFileNames = Object.freeze([
+	'jsmkdocs.config.js',
+	'jsmkdocs.config.mjs',
+	'jsmkdocs.config.cjs',
+	'.jsmkdocsrc.json',
+]);
+
+/**
+ * Key holding the configuration in a `package.json` file.
+ *
+ * @constant
+ * @type {string}
+ */
+const packageJsonKey = 'jsmkdocs';
+
+/**
+ * Options holding paths, or lists of paths, relative to the configuration file. Globs such as `ignore` and `pattern`
+ * are relative to each source instead.
+ *
+ * @constant
+ * @type {string[]}
+ */
+const pathOptions = Object.freeze(['source', 'output', 'mkdocsTemplate', 'intros', 'templates', 'plugins']);
+
+/**
+ * @typedef {Object} LoadedConfig
+ * @property {string} filePath - Absolute path of the file the configuration was read from.
+ * @property {Object} config - Raw configuration object.
+ */
+
+/**
+ * Reads and parses a JSON file, reporting the offending file on syntax errors.
+ *
+ * @param {string} filePath - Absolute path of the JSON file.
+ * @returns {*} Parsed JSON value.
+ * @throws {Error} If the file is not valid JSON.
+ */
+const readJson = (filePath) => {
+	try {
+		return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	} catch (error) {
+		throw new Error(`Could not parse '${filePath}': ${error.message}`, { cause: error });
+	}
+};
+
+/**
+ * Finds the configuration file to load, either the given one or the first configuration source found in the
+ * working directory. A `package.json` file only counts as a configuration source if it holds a `jsmkdocs` key.
+ *
+ * @param {?string} [configPath] - Path to a configuration file, relative to the working directory.
+ * @returns {?string} Absolute path of the configuration file, or `null` if the project has none.
+ * @throws {Error} If the given file does not exist.
+ */
+const findConfigFile = (configPath) => {
+	if (configPath) {
+		const filePath = path.resolve(process.cwd(), configPath);
+
+		if (!fs.existsSync(filePath)) {
+			throw new Error(`Configuration file '${filePath}' does not exist`);
+		}
+
+		return filePath;
+	}
+
+	const filePath = configFileNames.map((fn) => path.resolve(process.cwd(), fn)).find((fp) => fs.existsSync(fp));
+
+	if (filePath) {
+		return filePath;
+	}
+
+	const packageJsonPath = path.resolve(process.cwd(), 'package.json');
+
+	if (fs.existsSync(packageJsonPath) && packageJsonKey in readJson(packageJsonPath)) {
+		return packageJsonPath;
+	}
+
+	return null;
+};
+
+/**
+ * Reads a configuration file. JavaScript files are imported and must export the configuration,
+ * either as their default export or as a CommonJS `module.exports`; `package.json` files hold it under
+ * the `jsmkdocs` key and any other file is read as JSON.
+ *
+ * @param {string} filePath - Absolute path of the configuration file.
+ * @returns {Promise<*>} The configuration as found in the file.
+ */
+const readConfigFile = async (filePath) => {
+	if (/\.[cm]?js$/u.test(filePath)) {
+		const module = await import(pathToFileURL(filePath).href);
+		return module.default ?? module;
+	}
+
+	if (path.basename(filePath) === 'package.json') {
+		return readJson(filePath)[packageJsonKey];
+	}
+
+	return readJson(filePath);
+};
+
+/**
+ * Loads the project configuration, either from the given file or from the first configuration source
+ * found in the working directory.
+ *
+ * @param {?string} [configPath] - Path to a configuration file, relative to the working directory.
+ * @returns {Promise<?LoadedConfig>} The loaded configuration, or `null` if the project has none.
+ * @throws {Error} If a configuration file cannot be found or loaded, or does not hold a configuration object.
+ */
+const loadConfig = async (configPath) => {
+	const filePath = findConfigFile(configPath);
+
+	if (!filePath) {
+		return null;
+	}
+
+	const config = await readConfigFile(filePath);
+
+	if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+		throw new Error(`'${filePath}' does not hold a configuration object`);
+	}
+
+	return { filePath, config };
+};
+
+/**
+ * Resolves the relative paths of a configuration against the directory of its file. Empty paths, which leave an
+ * option unset, and plugins given as package names are left as they are.
+ *
+ * @param {Object} config - Configuration options, as validated by `parseOptions`.
+ * @param {string} filePath - Absolute path of the configuration file.
+ * @returns {Object} The configuration options, with absolute paths.
+ */
+const resolveConfigPaths = (config, filePath) => {
+	const configDir = path.dirname(filePath);
+	const resolvePath = (option, value) => {
+		const isPackage = option === 'plugins' && !value.startsWith('.') && !path.isAbsolute(value);
+		return value === '' || isPackage ? value : path.resolve(configDir, value);
+	};
+
+	return Object.fromEntries(
+		Object.entries(config).map(([k, v]) => {
+			if (!pathOptions.includes(k)) {
+				return [k, v];
+			}
+
+			return [k, Array.isArray(v) ? v.map((i) => resolvePath(k, i)) : resolvePath(k, v)];
+		})
+	);
+};
+
+export { loadConfig, resolveConfigPaths };
@@ -0,0 +1,466 @@
+/**
+ * @module Declaration
+ *
+ * @description
+ * This module reads the declaration following a JsMkDocs comment, as exposed by dox in `comment.code`.
+ * It understands JavaScript and TypeScript declarations well enough to list the parameters of functions, methods,
+ * arrow functions and function type aliases, their return type, and the members of classes, interfaces and object type
+ * aliases, along with their type annotations, without depending on the TypeScript compiler.
+ *
+ * Declarations are scanned rather than parsed: comments are blanked out and string contents masked first, so the
+ * brackets left can be balanced to find where parameter lists, type arguments and bodies end.
+ */
+
+/**
+ * Closing bracket of each opening bracket, angle brackets included for type arguments.
+ *
+ * @constant
+ * @type {Object.<string, string>}
+ */
+const brackets = Object.freeze({ '(': ')', '[': ']', '{': '}', '<': '>' });
+
+/**
+ * Comments and string literals, which may hold brackets or separators that are not part of the declaration.
+ *
+ * @constant
+ * @type {RegExp}
+ */
+const maskedRgx =
+	/\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)|'(?:\\.|[^'\\\n])*'?|"(?:\\.|[^"\\\n])*"?|`(?:\\[\s\S]|[^`\\])*`?/gu;
+
+/**
+ * Modifiers that may precede a declaration or a class member.
+ *
+ * @constant
+ * @type {RegExp}
+ */
+const modifiersRgx =
+	/^\s*(?:(?:export|default|declare|async|abstract|public|private|protected|static|readonly|override|get|set)\s+|\*\s*)*/u;
+
+/**
+ * Modifiers that may precede a parameter, those of constructors declaring class members as well.
+ *
+ * @constant
+ * @type {RegExp}
+ */
+const paramModifiersRgx = /^(?:(?:public|private|protected|readonly|override)\s+)*/u;
+
+/**
+ * Statements whose parentheses could be taken for the parameters of a method.
+ *
+ * @constant
+ * @type {RegExp}
+ */
+const statementsRgx = /^(?:if|for|while|switch|catch|with|return|typeof|await|new|super)$/u;
+
+/**
+ * @typedef {Object} DeclaredParam
+ * @property {string} name - Name of the parameter, or its destructuring pattern.
+ * @property {?string} type - Type annotation of the parameter, `null` if it has none.
+ * @property {boolean} optional - Whether the parameter is optional, i.e. marked with `?` or given a default value.
+ * @property {?string} defaultValue - Default value of the parameter, `null` if it has none.
+ * @property {boolean} rest - Whether the parameter is a rest parameter.
+ */
+
+/**
+ * @typedef {Object} DeclaredMember
+ * @property {string} name - Name of the member.
+ * @property {?string} type - Type annotation of the member, `Function` for methods, `null` if it has none.
+ * @property {boolean} optional - Whether the member is marked with `?`.
+ */
+
+/**
+ * @typedef {Object} Declaration
+ * @property {?string} name - Name of the declared function, class, variable or type.
+ * @property {?string} kind - Kind of declaration: `function`, `method`, `class`, `constant`, `variable`, `interface`
+ * or `type`.
+ * @property {DeclaredParam[]} params - Parameters of the declared function or method.
+ * @property {?string} returns - Return type annotation of the declared function or method, `null` if it has none.
+ * @property {DeclaredMember[]} members - Members of the declared class, interface or object type.
+ */
+
+/**
+ * Declaration of code that declares nothing recognizable.
+ *
+ * @constant
+ * @type {Declaration}
+ */
+const emptyDeclaration = Object.freeze({
+	name: null,
+	kind: null,
+	params: Object.freeze([]),
+	returns: null,
+	members: Object.freeze([]),
+});
+
+/**
+ * Blanks out comments and masks the contents of string literals, keeping every character at its index.
+ *
+ * @param {string} code - Code to mask.
+ * @returns {{text: string, masked: string}} The code without comments, and the same code with strings masked too.
+ */
+const maskCode = (code) => {
+	const blank = (match) => match.replace(/[^\n]/gu, ' ');
+	const isComment = (match) => match.startsWith('/');
+
+	return {
+		text: code.replace(maskedRgx, (m) => (isComment(m) ? blank(m) : m)),
+		masked: code.replace(maskedRgx, (m) => (isComment(m) ? blank(m) : m.replace(/[^\w\s]/gu, '_'))),
+	};
+};
+
+/**
+ * Calls the visitor with each character outside of brackets, starting at the given index, until it returns true.
+ * The `>` of arrows is not taken for a closing angle bracket, and unclosed angle brackets (e.g. comparisons) are
+ * dropped when another bracket closes.
+ *
+ * @param {string} masked - Masked code.
+ * @param {function(string, number): boolean} visit - Visitor called with the character and its index.
+ * @param {number} [start] - Index to start at.
+ * @returns {number} Index at which the visitor returned true, or the length of the code.
+ */
+const scanTopLevel = (masked, visit, start = 0) => {
+	const stack = [];
+
+	for (let i = start; i < masked.length; i++) {
+		const char = masked[i];
+
+		if (stack.length === 0 && visit(char, i)) {
+			return i;
+		}
+
+		if (brackets[char]) {
+			stack.push(brackets[char]);
+		} else if (Object.values(brackets).includes(char) && !(char === '>' && masked[i - 1] === '=')) {
+			// Angle brackets left open inside the closed bracket are closed along with it
+			const index = stack.lastIndexOf(char);
+			if (index >= 0 && stack.slice(index + 1).every((c) => c === '>')) stack.splice(index);
+		}
+	}
+
+	return masked.length;
+};
+
+/**
+ * Returns the index following the bracket that closes the one at the given index.
+ *
+ * @param {string} masked - Masked code.
+ * @param {number} start - Index of the opening bracket.
+ * @returns {number} Index following the closing bracket.
+ */
+const findClosingEnd = (masked, start) => scanTopLevel(masked, (_char, i) => i > start, start);
+
+/**
+ * Splits a range of the code at the given separators, ignoring those inside brackets.
+ *
+ * @param {{text: string, masked: string}} code - Masked code.
+ * @param {number} start - Index the range starts at.
+ * @param {number} end - Index the range ends at.
+ * @param {string[]} separators - Characters to split at.
+ * @returns {string[]} Trimmed, non-empty parts of the range.
+ */
+const splitTopLevel = (code, start, end, separators) => {
+	const parts = [];
+	let partStart = start;
+
+	scanTopLevel(
+		code.masked.slice(0, end),
+		(char, i) => {
+			if (separators.includes(char)) {
+				parts.push(code.text.slice(partStart, i));
+				partStart = i + 1;
+			}
+
+			return false;
+		},
+		start
+	);
+
+	parts.push(code.text.slice(partStart, end));
+	return parts.map((p) => p.trim()).filter(Boolean);
+};
+
+const normalizeType = (type) => type.replace(/\s+/gu, ' ').trim() || null;
+
+/**
+ * Returns the index of the first character of the given kind outside of brackets, skipping `=>` and `==`.
+ *
+ * @param {string} masked - Masked code.
+ * @param {string} char - Character to find, `:` or `=`.
+ * @returns {number} Index of the character, or the length of the code.
+ */
+const findTopLevelChar = (masked, char) =>
+	scanTopLevel(masked, (c, i) => c === char && !(char === '=' && /[=>]/u.test(masked[i + 1] ?? '')));
+
+/**
+ * Parses a single parameter, e.g. `...ids?: string[]` or `{ deep } = {}`.
+ *
+ * @param {string} param - Parameter, without comments.
+ * @returns {?DeclaredParam} The parameter, or `null` for TypeScript `this` parameters.
+ */
+const parseParam = (param) => {
+	const unmodified = param.replace(paramModifiersRgx, '');
+	const code = maskCode(unmodified);
+	const colon = findTopLevelChar(code.masked, ':');
+	const equals = findTopLevelChar(code.masked, '=');
+	const rawName = unmodified.slice(0, Math.min(colon, equals)).trim();
+	const rest = rawName.startsWith('...');
+	const name = rawName
+		.replace(/^\.{3}/u, '')
+		.replace(/\?$/u, '')
+		.trim();
+	const type = colon < equals ? normalizeType(unmodified.slice(colon + 1, equals)) : null;
+	const defaultValue = equals < unmodified.length ? unmodified.slice(equals + 1).trim() : null;
+
+	if (name === 'this') {
+		return null;
+	}
+
+	return { name, type, optional: rawName.endsWith('?') || defaultValue !== null, defaultValue, rest };
+};
+
+/**
+ * Parses the return type annotation following the parameter list ending at the given index, if any.
+ * The annotation ends at the function body, the arrow of an arrow function or the end of the statement.
+ *
+ * @param {{text: string, masked: string}} code - Masked code.
+ * @param {number} paramsEnd - Index following the closing parenthesis of the parameter list.
+ * @returns {{returns: ?string, end: number}} The return type, and the index following it.
+ */
+const parseReturnType = (code, paramsEnd) => {
+	const colonMatch = code.masked.slice(paramsEnd).match(/^\s*:/u);
+
+	if (!colonMatch) {
+		return { returns: null, end: paramsEnd };
+	}
+
+	const start = paramsEnd + colonMatch[0].length;
+	const end = scanTopLevel(
+		code.masked,
+		(char, i) => {
+			const typeSoFar = code.masked.slice(start, i).trim();
+
+			// Object types are braces as well, but only where a type is expected
+			const isBody = char === '{' && typeSoFar !== '' && !/[|&,:(<]$/u.test(typeSoFar);
+			return isBody || char === ';' || (char === '=' && code.masked[i + 1] === '>');
+		},
+		start
+	);
+
+	return { returns: normalizeType(code.text.slice(start, end)), end };
+};
+
+/**
+ * Parses the return type following the arrow of a function type, e.g. `boolean` in `(a: string) => boolean`.
+ * The type ends at the end of the statement, or at the end of its line unless the next line continues a union or an
+ * intersection.
+ *
+ * @param {{text: string, masked: string}} code - Masked code.
+ * @param {number} paramsEnd - Index following the closing parenthesis of the parameter list.
+ * @returns {?string} The return type, or `null` if no arrow follows the parameters.
+ */
+const parseArrowReturnType = (code, paramsEnd) => {
+	const arrowMatch = code.masked.slice(paramsEnd).match(/^\s*=>/u);
+
+	if (!arrowMatch) {
+		return null;
+	}
+
+	const start = paramsEnd + arrowMatch[0].length;
+	const end = scanTopLevel(
+		code.masked,
+		(char, i) =>
+			char === ';' ||
+			(char === '\n' && code.masked.slice(start, i).trim() !== '' && !/^\s*[|&]/u.test(code.masked.slice(i + 1))),
+		start
+	);
+
+	return normalizeType(code.text.slice(start, end));
+};
+
+/**
+ * Parses the parameters and the return type of a function whose type arguments or parameter list start at the given
+ * index. A single parameter without parentheses, as in `id => ...`, is supported as well.
+ *
+ * @param {{text: string, masked: string}} code - Masked code.
+ * @param {number} start - Index of the type arguments or parameter list.
+ * @param {boolean} [isExpression] - Whether the function is assigned, i.e. must be an arrow function unless it starts
+ * with the `function` keyword, so parenthesized expressions are not taken for parameters.
+ * @param {boolean} [isType] - Whether the function is a function type, whose return type follows its arrow.
+ * @returns {?Declaration} The function declaration, or `null` if no function is found.
+ */
+const parseFunction = (code, start, isExpression = false, isType = false) => {
+	const [skipped] = code.masked.slice(start).match(/^\s*(?:async\s+)?(?:function\b\s*\*?\s*[\w$]*\s*)?/u);
+	const mustBeArrow = isExpression && !skipped.includes('function');
+	let open = start + skipped.length;
+
+	if (code.masked[open] === '<') {
+		open = findClosingEnd(code.masked, open);
+		open += code.masked.slice(open).match(/^\s*/u)[0].length;
+	}
+
+	const singleParam = code.masked.slice(open).match(/^([\w$]+)\s*=>/u);
+
+	if (singleParam) {
+		return { ...emptyDeclaration, params: [parseParam(singleParam[1])] };
+	}
+
+	if (code.masked[open] !== '(') {
+		return null;
+	}
+
+	const close = findClosingEnd(code.masked, open);
+	const { returns, end } = parseReturnType(code, close);
+
+	if (mustBeArrow && !/^\s*=>/u.test(code.masked.slice(end))) {
+		return null;
+	}
+
+	const params = splitTopLevel(code, open + 1, close - 1, [','])
+		.map(parseParam)
+		.filter(Boolean);
+
+	return { ...emptyDeclaration, params, returns: isType ? parseArrowReturnType(code, end) : returns };
+};
+
+/**
+ * Parses a single class, interface or object type member, e.g. `readonly name?: string` or `greet(other: User) {}`.
+ *
+ * @param {string} member - Member, without comments.
+ * @returns {?DeclaredMember} The member, or `null` for index signatures and other unnamed members.
+ */
+const parseMember = (member) => {
+	const unmodified = member.replace(modifiersRgx, '');
+	const match = unmodified.match(/^(['"]?)([\w$-]+)\1(\??)\s*([:=(<]|$)/u);
+
+	if (!match) {
+		return null;
+	}
+
+	const [head, , name, optional, next] = match;
+	const isMethod = next === '(' || next === '<';
+	const code = maskCode(unmodified.slice(head.length - next.length));
+	const type = next === ':' ? normalizeType(code.text.slice(1, findTopLevelChar(code.masked.slice(1), '=') + 1)) : null;
+
+	return { name, type: isMethod ? 'Function' : type, optional: optional === '?' };
+};
+
+/**
+ * Parses the TypeScript parameter properties of a constructor, which declare class members along with parameters,
+ * e.g. `api` in `constructor(private readonly api: Api) {}`.
+ *
+ * @param {string} member - Class member, without comments.
+ * @returns {DeclaredMember[]} The members declared by the parameters, none if the member is not a constructor.
+ */
+const parseParameterProperties = (member) => {
+	const code = maskCode(member.replace(modifiersRgx, ''));
+	const match = code.masked.match(/^constructor\s*\(/u);
+
+	if (!match) {
+		return [];
+	}
+
+	const open = match[0].length - 1;
+
+	// Parameters given a default value are optional, but the members they declare are not
+	return splitTopLevel(code, open + 1, findClosingEnd(code.masked, open) - 1, [','])
+		.filter((p) => paramModifiersRgx.exec(p)[0] !== '')
+		.map(parseParam)
+		.map(({ name, type, optional, defaultValue }) => ({ name, type, optional: optional && defaultValue === null }));
+};
+
+/**
+ * Parses the members of the body starting at the given index.
+ *
+ * @param {{text: string, masked: string}} code - Masked code.
+ * @param {number} open - Index of the opening brace of the body.
+ * @returns {Declaration} The declaration, with its members.
+ */
+const parseBody = (code, open) => {
+	const members = splitTopLevel(code, open + 1, findClosingEnd(code.masked, open) - 1, [';', ',', '\n'])
+		.flatMap((m) => [parseMember(m), ...parseParameterProperties(m)])
+		.filter(Boolean);
+
+	return { ...emptyDeclaration, members };
+};
+
+/**
+ * Parses the variable, type alias or property assignment starting at the given index, whose value may be a function.
+ *
+ * @param {{text: string, masked: string}} code - Masked code.
+ * @param {number} start - Index of the assignment.
+ * @param {RegExpMatchArray} assignment - Match of the declaration keyword, if any, and the assigned name.
+ * @returns {Declaration} The declaration.
+ */
+const parseAssignment = (code, start, assignment) => {
+	const [head, keyword, target] = assignment;
+	const nameEnd = start + head.length;
+	// Object literal properties are matched along with their colon
+	const valueIndex = head.endsWith(':') ? nameEnd : nameEnd + findTopLevelChar(code.masked.slice(nameEnd), '=') + 1;
+	const valueStart = valueIndex + code.masked.slice(valueIndex).match(/^\s*/u)[0].length;
+	const functionName = code.masked.slice(valueStart).match(/^(?:async\s+)?function\b\s*\*?\s*([\w$]+)/u)?.[1];
+
+	// Assigning 'module.exports' gives no name but the one of the function, if any
+	const name = target === 'module.exports' ? (functionName ?? null) : target.split('.').pop();
+
+	const fn = code.masked[valueStart] === '{' ? null : parseFunction(code, valueStart, true, keyword === 'type');
+
+	if (keyword === 'type') {
+		const typeDeclaration = fn ?? (code.masked[valueStart] === '{' ? parseBody(code, valueStart) : emptyDeclaration);
+		return { ...typeDeclaration, name, kind: 'type' };
+	}
+
+	if (fn) {
+		// Object properties, class fields and prototype assignments hold methods
+		const isMethod = !keyword && (target === name || target.includes('.prototype.'));
+		return { ...fn, name, kind: isMethod ? 'method' : 'function' };
+	}
+
+	return keyword
+		? { ...emptyDeclaration, name, kind: keyword === 'const' ? 'constant' : 'variable' }
+		: emptyDeclaration;
+};
+
+/**
+ * Parses the declaration found at the start of the given code, which may be a function, a method, a variable holding
+ * an arrow function or a function expression, a class, an interface, a type alias or an assignment to a property.
+ *
+ * @param {string} code - Code following a comment, as exposed by dox in `comment.code`.
+ * @returns {Declaration} The declaration; its name and kind are `null` if no declaration is recognized.
+ */
+export const parseDeclaration = (code) => {
+	const maskedCode = maskCode(code);
+	const { masked } = maskedCode;
+	const start = masked.match(modifiersRgx)[0].length;
+	const head = masked.slice(start);
+
+	// Classes and interfaces list their members in their body, whatever they extend or implement
+	const type = head.match(/^(class|interface)\b\s*([\w$]*)/u);
+
+	if (type) {
+		const open = scanTopLevel(masked, (char) => char === '{', start);
+		const body = open < masked.length ? parseBody(maskedCode, open) : emptyDeclaration;
+
+		return { ...body, name: type[2] || null, kind: type[1] };
+	}
+
+	// Variables, type aliases, class fields, properties of exported objects or prototypes and object literal properties
+	const assignment = head.match(
+		/^(?:(type|const|let|var)\s+([\w$]+)|([\w$]+(?:\.[\w$]+)*)\s*(?==[^=>])|([\w$]+)\s*:)/u
+	);
+
+	if (assignment) {
+		const [match, keyword, name, target, property] = assignment;
+		return parseAssignment(maskedCode, start, [match, keyword, name ?? target ?? property]);
+	}
+
+	// Functions and methods, including constructors, accessors and generators
+	const fn = head.match(/^(function\b\s*\*?\s*)?([\w$]*)\s*\??\s*/u);
+	const declaration = parseFunction(maskedCode, start + fn[0].length);
+
+	if (!declaration || (!fn[1] && !fn[2]) || statementsRgx.test(fn[2])) {
+		return emptyDeclaration;
+	}
+
+	return { ...declaration, name: fn[2] || null, kind: fn[1] ? 'function' : 'method' };
+};
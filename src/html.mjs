@@ -0,0 +1,144 @@
+/**
+ * @module HTML
+ *
+ * @description
+ * This module renders markdown pages to HTML, for the live preview and the standalone HTML format. Headings get the
+ * anchors given by their `{#anchor}` attribute, or the same anchors as with MkDocs otherwise, so links between symbols
+ * keep working, and MkDocs admonitions are rendered as well.
+ *
+ * The main functionalities of this module include:
+ * - Rendering markdown to HTML (`renderMarkdownHtml` function)
+ * - Listing the headings of a page (`getHeadings` function)
+ * - Laying out a page with its navigation and embedded styles (`renderHtml` function)
+ *
+ * @requires markdown-it
+ * @requires ./slugger.mjs
+ * @requires ./targets.mjs
+ */
+
+import { getUniqueAnchor, splitHeadingId } from './slugger.mjs';
+import MarkdownIt from 'markdown-it';
+import { replaceAdmonitions } from './targets.mjs';
+
+/**
+ * Styles embedded in every HTML page.
+ *
+ * @constant
+ * @type {string}
+ */
+const styles = `
+	body { display: flex; margin: 0; font-family: system-ui, sans-serif; line-height: 1.5; color: #222; }
+	nav { flex: 0 0 16rem; position: sticky; top: 0; height: 100vh; overflow-y: auto; padding: 1rem; background: #f5f5f5; box-sizing: border-box; }
+	nav ul { list-style: none; margin: 0; padding-left: 1rem; }
+	nav > ul { padding-left: 0; }
+	nav a { color: inherit; text-decoration: none; }
+	nav a.active { font-weight: bold; color: #1565c0; }
+	nav .site { display: block; margin-bottom: 1rem; font-size: 1.2rem; font-weight: bold; }
+	main { flex: 1; max-width: 60rem; padding: 1rem 2rem; }
+	table { border-collapse: collapse; }
+	th, td { padding: 0.25rem 0.75rem; border: 1px solid #ddd; text-align: left; }
+	code { padding: 0 0.2rem; background: #f0f0f0; }
+	.admonition { margin: 1rem 0; padding: 0 1rem; border-left: 4px solid #ff9100; background: #fff3e0; }
+	.admonition-title { font-weight: bold; }
+`;
+
+const markdown = new MarkdownIt({ html: true });
+
+// Headings get the anchors of their attribute, removed from their text, or the same anchors as with MkDocs
+// otherwise, so links between symbols work in HTML as well. As with MkDocs, the anchors of attributes are taken first
+markdown.core.ruler.push('anchors', (state) => {
+	const headings = state.tokens
+		.map((t, i) => ({ token: t, inline: state.tokens[i + 1] }))
+		.filter(({ token }) => token.type === 'heading_open')
+		.map(({ token, inline }) => ({ token, inline, ...splitHeadingId(inline.content) }));
+	const anchors = new Set(headings.map((h) => h.id).filter(Boolean));
+
+	headings.forEach(({ token, inline, text, id }) => {
+		const lastChild = inline.children[inline.children.length - 1];
+
+		if (id && lastChild?.type === 'text') {
+			lastChild.content = splitHeadingId(lastChild.content).text;
+		}
+
+		token.attrSet('id', id ?? getUniqueAnchor(text, anchors));
+	});
+});
+
+/**
+ * Escapes the characters of a text that HTML would otherwise interpret.
+ *
+ * @param {*} text - Text to escape.
+ * @returns {string} The escaped text.
+ */
+const escapeHtml = (text) => String(text).replace(/[&<>"']/gu, (c) => `&#${c.charCodeAt(0)};`);
+
+// MkDocs admonitions, e.g. `!!! warning "Deprecated"`, are not rendered by markdown-it
+const renderAdmonitions = (markdownText) =>
+	replaceAdmonitions(
+		markdownText,
+		({ type, title, content }) =>
+			`<div class="admonition ${type}"><p class="admonition-title">${escapeHtml(title ?? type)}</p>\n\n` +
+			`${content}\n</div>\n\n`
+	);
+
+/**
+ * Renders a markdown page to HTML, its headings having the anchors MkDocs gives them.
+ *
+ * @param {string} markdownText - Markdown of the page.
+ * @returns {string} The HTML of the page content.
+ */
+const renderMarkdownHtml = (markdownText) => markdown.render(renderAdmonitions(markdownText));
+
+/**
+ * @typedef {Object} Heading
+ * @property {number} level - Level of the heading, `1` for `#` headings.
+ * @property {string} text - Text of the heading, as written, without its anchor attribute.
+ * @property {?string} id - Anchor given by its attribute, e.g. `getuser` for `getUser {#getuser}`.
+ * @property {number} line - Index of the line the heading starts at.
+ * @property {boolean} isAtx - Whether the heading starts with `#` signs rather than being underlined.
+ */
+
+/**
+ * Lists the headings of a markdown page in order, leaving out the lines of code blocks that look like headings.
+ *
+ * @param {string} markdownText - Markdown of the page.
+ * @returns {Heading[]} The headings of the page.
+ */
+const getHeadings = (markdownText) => {
+	const tokens = markdown.parse(markdownText, {});
+
+	return tokens
+		.map((t, i) => ({ token: t, inline: tokens[i + 1] }))
+		.filter(({ token }) => token.type === 'heading_open')
+		.map(({ token, inline }) => ({
+			level: Number(token.tag.slice(1)),
+			...splitHeadingId(inline.content),
+			line: token.map[0],
+			isAtx: token.markup.startsWith('#'),
+		}));
+};
+
+/**
+ * Lays out an HTML page with its navigation on the side, the styles being embedded so the page stands alone.
+ *
+ * @param {string} title - Title of the page.
+ * @param {string} navHtml - HTML of the navigation.
+ * @param {string} contentHtml - HTML of the page content.
+ * @param {string} [scriptHtml] - HTML added at the end of the body, e.g. scripts.
+ * @returns {string} The HTML page.
+ */
+const renderHtml = (title, navHtml, contentHtml, scriptHtml = '') => `<!DOCTYPE html>
+<html>
+<head>
+	<meta charset="utf-8">
+	<title>${escapeHtml(title)}</title>
+	<style>${styles}</style>
+</head>
+<body>
+	<nav>${navHtml}</nav>
+	<main>${contentHtml}</main>
+	${scriptHtml}
+</body>
+</html>`;
+
+export { escapeHtml, getHeadings, renderHtml, renderMarkdownHtml };
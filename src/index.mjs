@@ -1,5 +1,5 @@
 #! /usr/bin/env node
 
-import run from "./cli.mjs";
+import run from './cli.mjs';
 
 run();
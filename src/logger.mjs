@@ -71,11 +71,4 @@ const logVerbose = (message) => build(message, 'magenta');
  */
 const logClean = (message) => console.log(message);
 
-export {
-	logInfo,
-	logWarn,
-	logError,
-	logSuccess,
-	logVerbose,
-	logClean
-};
+export { logInfo, logWarn, logError, logSuccess, logVerbose, logClean };
@@ -0,0 +1,102 @@
+/**
+ * @module Manifest
+ *
+ * @description
+ * This module keeps the manifest of each document folder: the files JsMkDocs generated in it, along with the hash of
+ * their content. The manifest tells which files are up to date and which ones are stale, so that a document is
+ * written without touching the files added to its folder by hand, e.g. images or stylesheets.
+ *
+ * The main functionalities of this module include:
+ * - Hashing the content of a file (`hashText` function)
+ * - Reading and writing the manifest of a document folder (`readManifest` and `writeManifest` functions)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Name of the manifest file, in the folder of each document.
+ *
+ * @constant
+ * @type {string}
+ */
+const manifestName = '.jsmkdocs-manifest.json';
+
+/**
+ * Version of the format of the manifest, manifests of other versions being ignored.
+ *
+ * @constant
+ * @type {number}
+ */
+const manifestVersion = 1;
+
+/**
+ * Hashes the content of a file.
+ *
+ * @param {string} text - Content of the file.
+ * @returns {string} The SHA-256 hash of the content, in hexadecimal.
+ */
+const hashText = (text) => crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+
+/**
+ * Reads the manifest of a document folder. Folders without a manifest, e.g. not generated yet, have no generated file.
+ *
+ * @param {string} docsPath - Absolute path of the document folder.
+ * @returns {Promise<Map<string, string>>} The hash of each generated file, keyed by its path relative to the folder.
+ * @throws {Error} If the manifest cannot be read, or is not a manifest of this version.
+ */
+const readManifest = async (docsPath) => {
+	const filePath = path.join(docsPath, manifestName);
+
+	if (!fs.existsSync(filePath)) {
+		return new Map();
+	}
+
+	const manifest = await fs.promises
+		.readFile(filePath, 'utf8')
+		.then(JSON.parse)
+		.catch((error) => {
+			throw new Error(`Could not read manifest '${filePath}': ${error.message}`);
+		});
+
+	if (manifest?.version !== manifestVersion || typeof manifest.files !== 'object' || manifest.files === null) {
+		throw new Error(`Manifest '${filePath}' is not a version ${manifestVersion} manifest`);
+	}
+
+	// Paths leading out of the folder, or to the folder itself, are ignored, so that a tampered manifest cannot remove
+	// other files
+	const isInFolder = (fp) => {
+		const normalized = path.normalize(fp);
+		return !path.isAbsolute(normalized) && !['.', '..'].includes(normalized) && !normalized.startsWith(`..${path.sep}`);
+	};
+
+	return new Map(Object.entries(manifest.files).filter(([fp, hash]) => typeof hash === 'string' && isInFolder(fp)));
+};
+
+/**
+ * Writes the manifest of a document folder, or removes it when no file is generated in the folder anymore.
+ *
+ * @param {string} docsPath - Absolute path of the document folder.
+ * @param {Map<string, string>} files - The hash of each generated file, keyed by its path relative to the folder.
+ * @returns {Promise<void>} Resolves once the manifest is written.
+ */
+const writeManifest = async (docsPath, files) => {
+	const filePath = path.join(docsPath, manifestName);
+
+	if (files.size === 0) {
+		await fs.promises.rm(filePath, { force: true });
+		return;
+	}
+
+	const sortedFiles = Object.fromEntries([...files].sort(([a], [b]) => a.localeCompare(b)));
+
+	await fs.promises.mkdir(docsPath, { recursive: true });
+	await fs.promises.writeFile(
+		filePath,
+		`${JSON.stringify({ version: manifestVersion, files: sortedFiles }, null, '\t')}\n`,
+		'utf8'
+	);
+};
+
+export { hashText, manifestName, readManifest, writeManifest };
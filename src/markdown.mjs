@@ -0,0 +1,440 @@
+/**
+ * Iterates over all comment objects for a level of a 'docsTree'
+ * object and gathers the data of each comment, resolving the links
+ * to other symbols. Comments, sections and the page are then
+ * rendered with their templates into a full markdown page, and
+ * index pages from the introduction and contents of the document.
+ */
+
+import { defaultTemplates, renderTemplate } from './templates.mjs';
+import { findClosingEnd, parseName, parseTypedTag } from './tags.mjs';
+import { getUniqueAnchor, renderHeadingId } from './slugger.mjs';
+import path from 'path';
+
+const nameRgx = /([a-zA-Z0-9-.[\]]+)(?:\s+-)?/u.source;
+const descRgx = /([^-].+)/u.source;
+
+// Match valid desc strings as output by dox, the types of other tags are parsed by the tags module
+export const descTagRgx = new RegExp(`^${nameRgx}\\s+${descRgx}$`, 'u');
+
+// Separates the name from the description, e.g. 'getUser - Gets a user'
+const separatorRgx = /^\S+\s+-\s/u;
+
+const getTagByType = (tags, type) => tags.filter((t) => t.type === type)[0];
+
+// Splits the type off the start of a tag, nested braces included, e.g. '{Array<{id: string}>}'
+const splitType = (text) => {
+	const trimmed = text.trim();
+	const typeEnd = trimmed.startsWith('{') ? findClosingEnd(trimmed) : 0;
+
+	return {
+		type: typeEnd > 0 ? trimmed.slice(1, typeEnd - 1).trim() : null,
+		rest: trimmed.slice(typeEnd).trimStart(),
+	};
+};
+
+// Names of @param and @data tags may follow their type and be written as optional, e.g. '{string} [name=default]'
+export const getTagName = (tag) => {
+	const { rest } = splitType(tag.string);
+	return parseName(rest)?.name ?? rest.match(/^\[?([^\s=\]]*)/u)[1];
+};
+
+// Inline links, e.g. '{@link getUser}', '{@link https://example.com|Example}' or '[Example]{@link https://example.com}'
+const linkRgx = /(?:\[([^\]]*)\])?\{@link(?:code|plain)?\s+([^\s|}]+)\s*\|?\s*([^}]*)\}/gu;
+
+// Names in type expressions, quoted strings being matched so the names in them are left alone
+const typeNameRgx = /'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"|[\w$]+(?:\.[\w$]+)*/gu;
+
+// Names of symbols given alone, e.g. 'User', 'Store#load' or 'module~helper'
+const namepathRgx = /^[\w$.#~]+$/u;
+
+const isUrl = (target) => /^[a-z][a-z\d+.-]*:\/\//iu.test(target);
+
+// Symbols are looked up in the index of the documents and linked relative to the page being rendered. Pages of other
+// documents are reached through the folders of the documents, in which pages sit under 'links.pagesDir'
+const getSymbolUrl = (name, links) => {
+	const symbol = links.symbols.get(name);
+
+	if (!symbol) {
+		return null;
+	}
+
+	const pagesDir = links.pagesDir ?? '';
+	const fromPath = path.posix.join(links.folder ?? symbol.folder ?? '', pagesDir, links.pagePath);
+	const toPath = path.posix.join(symbol.folder ?? '', pagesDir, symbol.path);
+	const pagePath = toPath === fromPath ? '' : path.posix.relative(path.posix.dirname(fromPath), toPath);
+
+	return `${pagePath}#${symbol.anchor}`;
+};
+
+// Unresolved symbols are shown as code and reported once the document is rendered
+const renderSymbolLink = (target, linkText, comment, links) => {
+	const url = getSymbolUrl(target, links);
+
+	if (url === null) {
+		links.unresolved.push({ comment, target });
+		return linkText || `\`${target}\``;
+	}
+
+	return `[${linkText || `\`${target}\``}](${url})`;
+};
+
+const renderLinks = (text, comment, links) =>
+	text.replace(linkRgx, (_match, prefixText, target, suffixText) => {
+		const linkText = (prefixText ?? suffixText).trim();
+
+		if (isUrl(target)) {
+			return `[${linkText || target}](${target})`;
+		}
+
+		return renderSymbolLink(target, linkText, comment, links);
+	});
+
+// Types are shown as code, with the names of documented symbols linked, e.g. 'Promise<' [User](#user) '>'.
+// Other names, such as built-in types, are not reported
+const renderType = (type, links) => {
+	const renderCode = (text) => (text === '' ? '' : `\`${text}\``);
+	let markdown = '';
+	let start = 0;
+
+	for (const { 0: token, index } of type.matchAll(typeNameRgx)) {
+		const url = /^['"]/u.test(token) ? null : getSymbolUrl(token, links);
+
+		if (url !== null) {
+			markdown += `${renderCode(type.slice(start, index))}[\`${token}\`](${url})`;
+			start = index + token.length;
+		}
+	}
+
+	return markdown + renderCode(type.slice(start));
+};
+
+// Types and names given by @typedef tags, e.g. '{Object} User'
+const getTypedef = (comment) => {
+	const typedefTag = getTagByType(comment.tags, 'typedef');
+
+	if (!typedefTag) {
+		return null;
+	}
+
+	const { type, rest } = splitType(typedefTag.string);
+	const [name] = rest.match(/^[\w$.]*/u);
+
+	return name ? { type: type || 'Object', name } : null;
+};
+
+/**
+ * Returns the name and description of a comment. The name is the first word of the @desc tag, unless it only holds
+ * a description, in which case the name given by a @typedef tag or the name of the declaration following the comment
+ * is used.
+ *
+ * @param {Object} comment - Comment as returned by `getJsMkDocsComments`.
+ * @returns {?{name: string, desc: string, isDeclared: boolean}} The name and description, and whether the name is the
+ * one of the declaration, or `null` if the comment has no @desc tag or its name cannot be inferred.
+ */
+export const getNameAndDesc = (comment) => {
+	const descTag = getTagByType(comment.tags, 'desc');
+	const declaredName = comment.declaration?.name ?? null;
+	const knownName = getTypedef(comment)?.name ?? declaredName;
+	const match = descTag?.string.match(descTagRgx);
+	const isDeclared = (name) => name === declaredName && !getTypedef(comment);
+
+	// Without a separator, the first word is only taken for a name if nothing else is known
+	if (match && (knownName === null || match[1] === knownName || separatorRgx.test(descTag.string))) {
+		return { name: match[1], desc: match[2], isDeclared: isDeclared(match[1]) };
+	}
+
+	if (knownName !== null && descTag?.string.trim()) {
+		return { name: knownName, desc: descTag.string.trim(), isDeclared: isDeclared(knownName) };
+	}
+
+	return null;
+};
+
+// Comments of a page, or of every page of a folder
+const getPageComments = (page) =>
+	page.subPages ? page.subPages.flatMap(getPageComments) : Object.values(page.sections ?? {}).flat();
+
+/**
+ * Returns the first tag of a type that is not empty among comments, e.g. the @pageTitle tag of a page.
+ *
+ * @param {Object[]} comments - Comments to look into, in order.
+ * @param {string} tagType - Type of the tag, e.g. `pageTitle`.
+ * @returns {?{comment: Object, text: string}} The trimmed text of the tag and the comment holding it, or `null` if
+ * none of the comments has such a tag.
+ */
+export const findTag = (comments, tagType) => {
+	const comment = comments.find((c) => c.tags.some((t) => t.type === tagType && t.string.trim() !== ''));
+	const tag = comment?.tags.find((t) => t.type === tagType && t.string.trim() !== '');
+
+	return tag ? { comment, text: tag.string.trim() } : null;
+};
+
+/**
+ * Returns the title of a page: the one given by a @pageTitle tag of its comments, or its name in the @docs tags.
+ * Folders are always titled by their name.
+ *
+ * @param {Object} page - Page or folder of a docs tree.
+ * @returns {string} The title of the page.
+ */
+export const getPageTitle = (page) =>
+	(!page.subPages && findTag(getPageComments(page), 'pageTitle')?.text) || page.pageName;
+
+/**
+ * Returns the title of a document: the one given by a @docsTitle tag of its comments, or its name.
+ *
+ * @param {Object} docsTree - Docs tree as returned by `getDocsTrees`.
+ * @returns {string} The title of the document.
+ */
+export const getDocsTitle = (docsTree) => findTag(docsTree.comments ?? [], 'docsTitle')?.text ?? docsTree.docsName;
+
+const getSignature = ({ kind, name, params }) => {
+	const paramList = params.map((p) => `${p.rest ? '...' : ''}${p.name}${p.optional ? '?' : ''}`);
+	return kind === 'function' || kind === 'method' ? `${name}(${paramList.join(', ')})` : name;
+};
+
+// Types are given both as written and as markdown linking the documented symbols they name
+const getTypeData = (type, links) => ({ type, typeMarkdown: renderType(type, links) });
+
+// Keys of nested names leave out array brackets, so 'users[].name' is found under 'users'
+const getKey = (name) => name.replace(/\[\]/gu, '');
+
+const getParentKey = (name, keys) => {
+	const parts = getKey(name).split('.');
+
+	for (let i = parts.length - 1; i > 0; i--) {
+		const key = parts.slice(0, i).join('.');
+		if (keys.has(key)) return key;
+	}
+
+	return null;
+};
+
+// Nested names are listed right after their parent, whatever the order of their tags
+const getNestedRows = (entries, keys, parentKey = null, depth = 0) =>
+	entries
+		.filter((e) => getParentKey(e.name, keys) === parentKey)
+		.flatMap((e) => [{ ...e, depth }, ...getNestedRows(entries, keys, getKey(e.name), depth + 1)]);
+
+// Badly formatted tags are skipped
+const getTableRows = (comment, tagType, links) => {
+	const entries = comment.tags
+		.filter((t) => t.type === tagType)
+		.map((t) => parseTypedTag(t.string))
+		.filter(Boolean);
+
+	// Default values of the parameters in the code complete the ones given by the tags
+	const declaredParams = tagType === 'param' && getNameAndDesc(comment).isDeclared ? comment.declaration.params : [];
+
+	return getNestedRows(entries, new Set(entries.map((e) => getKey(e.name)))).map((r) => {
+		const defaultValue = r.defaultValue ?? declaredParams.find((p) => p.name === r.name)?.defaultValue ?? null;
+
+		return {
+			name: r.name,
+			...getTypeData(r.type, links),
+			optional: r.optional || defaultValue !== null,
+			defaultValue,
+			desc: renderLinks(r.desc, comment, links),
+			depth: r.depth,
+		};
+	});
+};
+
+const getTagStrings = (comment, tagTypes) =>
+	comment.tags.filter((t) => tagTypes.includes(t.type) && t.string.trim() !== '').map((t) => t.string.trim());
+
+// Skip if the returns tag is badly formatted
+const getReturns = (comment, links) => {
+	const returnsTag = getTagByType(comment.tags, 'returns');
+	const returns = returnsTag ? parseTypedTag(returnsTag.string, { named: false }) : null;
+
+	return returns && { ...getTypeData(returns.type, links), desc: renderLinks(returns.desc, comment, links) };
+};
+
+// Errors may be described without a type
+const getThrows = (comment, links) =>
+	getTagStrings(comment, ['throws']).map((text) => {
+		const error = parseTypedTag(text, { named: false });
+
+		return error
+			? { ...getTypeData(error.type, links), desc: renderLinks(error.desc, comment, links) }
+			: { type: null, typeMarkdown: null, desc: renderLinks(text, comment, links) };
+	});
+
+// References are either names of other symbols, URLs or text, in which only inline links are resolved
+const renderSee = (reference, comment, links) => {
+	if (namepathRgx.test(reference)) {
+		return renderSymbolLink(reference, '', comment, links);
+	}
+
+	return isUrl(reference) && !/\s/u.test(reference)
+		? `[${reference}](${reference})`
+		: renderLinks(reference, comment, links);
+};
+
+// Examples are fenced in the language of the file they come from, and may start with a caption
+const getExamples = (comment) => {
+	const language = /\.[cm]?tsx?$/u.test(comment.file ?? '') ? 'typescript' : 'javascript';
+
+	return getTagStrings(comment, ['example']).map((text) => {
+		const [, caption, code] = text.match(/^(?:<caption>([\s\S]*?)<\/caption>)?\s*([\s\S]*)$/u);
+		return { caption: caption?.trim() || null, code: code.trimEnd(), language };
+	});
+};
+
+// The kind and signature are only given when the comment documents the declaration it is above
+const getKind = (comment, isDeclared) => {
+	if (getTypedef(comment)) {
+		return 'typedef';
+	}
+
+	return isDeclared ? comment.declaration.kind : null;
+};
+
+// Custom tags are rendered by the handlers of the plugins, in the order the plugins are listed
+const getCustomTags = (comment, links, plugins) => {
+	const helpers = { renderLinks: (text) => renderLinks(text, comment, links) };
+
+	return plugins
+		.flatMap((p) => Object.entries(p.tags ?? {}).map(([type, handler]) => ({ plugin: p, type, handler })))
+		.map(({ plugin, type, handler }) => {
+			const tags = comment.tags.filter((t) => t.type === type);
+			const markdown = tags.length > 0 ? (handler(tags, comment, helpers) ?? '') : '';
+
+			if (typeof markdown !== 'string') {
+				throw new Error(`Plugin '${plugin.name}' must render @${type} tags as a string, not ${typeof markdown}`);
+			}
+
+			return { type, markdown };
+		})
+		.filter((t) => t.markdown !== '');
+};
+
+/**
+ * Returns the anchors of the headings of a page, in the order they are rendered: the heading of each section,
+ * followed by the headings of its comments.
+ *
+ * @param {Object} page - Page of a docs tree, with its `sections`.
+ * @returns {Array<{name: string, anchor: string, comments: Array<{name: string, anchor: string}>}>} The anchor of
+ * each section and of each of its comments.
+ */
+export const getPageAnchors = (page) => {
+	const anchors = new Set();
+
+	return Object.entries(page.sections).map(([section, comments]) => ({
+		name: section,
+		anchor: getUniqueAnchor(section, anchors),
+		comments: comments.map((c) => {
+			const { name } = getNameAndDesc(c);
+			return { name, anchor: getUniqueAnchor(name, anchors) };
+		}),
+	}));
+};
+
+const getCommentData = (comment, anchor, links, plugins) => {
+	const { name, desc, isDeclared } = getNameAndDesc(comment);
+	const typedef = getTypedef(comment);
+	const deprecatedTag = getTagByType(comment.tags, 'deprecated');
+
+	return {
+		name,
+		anchor,
+		heading: renderHeadingId(name, anchor),
+		desc: renderLinks(desc, comment, links),
+		kind: getKind(comment, isDeclared),
+		signature: isDeclared ? getSignature(comment.declaration) : null,
+		typedef: typedef && getTypeData(typedef.type, links),
+		isAsync: Boolean(getTagByType(comment.tags, 'async')),
+		deprecated: deprecatedTag ? renderLinks(deprecatedTag.string, comment, links) : null,
+		since: getTagByType(comment.tags, 'since')?.string || null,
+		params: getTableRows(comment, 'param', links),
+		properties: getTableRows(comment, 'property', links),
+		data: getTableRows(comment, 'data', links),
+		returns: getReturns(comment, links),
+		throws: getThrows(comment, links),
+		fires: getTagStrings(comment, ['fires', 'emits']),
+		listens: getTagStrings(comment, ['listens']),
+		examples: getExamples(comment),
+		see: getTagStrings(comment, ['see']).map((r) => renderSee(r, comment, links)),
+		customTags: getCustomTags(comment, links, plugins),
+		file: comment.file,
+		line: comment.line,
+	};
+};
+
+/**
+ * Gathers the data of the sections and comments of a page, as given to the templates. The intro file of the page
+ * takes the place of its @pageDesc tag.
+ *
+ * @param {Object} docsTree - Page of a docs tree, with its `sections` and `path`.
+ * @param {Object} links - Symbols of the documents, folder of the document and of its pages, path of the page, and
+ * unresolved links gathered so far.
+ * @param {Object[]} plugins - Plugins whose tag handlers render the custom tags.
+ * @param {Map<string, string>} [intros] - Markdown of the intro files of the document, keyed by page path.
+ * @returns {{title: string, desc: ?string, path: string, sections: Array<{name: string, anchor: string,
+ * heading: string, comments: Object[]}>}} The data of the page.
+ */
+export const getPageData = (docsTree, links, plugins, intros = new Map()) => {
+	const descTag = findTag(getPageComments(docsTree), 'pageDesc');
+	const anchors = getPageAnchors(docsTree);
+
+	return {
+		title: getPageTitle(docsTree),
+		desc: intros.get(docsTree.path) ?? (descTag && renderLinks(descTag.text, descTag.comment, links)),
+		path: docsTree.path,
+		sections: Object.entries(docsTree.sections).map(([name, comments], i) => ({
+			name,
+			anchor: anchors[i].anchor,
+			heading: renderHeadingId(name, anchors[i].anchor),
+			comments: comments.map((c, j) => getCommentData(c, anchors[i].comments[j].anchor, links, plugins)),
+		})),
+	};
+};
+
+/**
+ * Returns the introduction of a document: its `index.md` intro file, or the @docsIntro tag of its comments.
+ *
+ * @param {Object} docsTree - Docs tree as returned by `getDocsTrees`.
+ * @param {Object} links - Symbols of the documents, folder of the document and of its pages, path of the index page,
+ * and unresolved links gathered so far.
+ * @param {Map<string, string>} [intros] - Markdown of the intro files of the document, keyed by page path.
+ * @returns {?string} The introduction as markdown, or `null` if the document has none.
+ */
+export const getDocsIntro = (docsTree, links, intros = new Map()) => {
+	const introTag = findTag(docsTree.comments ?? [], 'docsIntro');
+	return intros.get('index.md') ?? (introTag && renderLinks(introTag.text, introTag.comment, links));
+};
+
+// Links are resolved from the symbols of the documents, and the unresolved ones are gathered in 'links.unresolved'.
+// Pages are rendered with the given templates, and the tag handlers of the given plugins
+export const getMarkdownString = (
+	docsTree,
+	links = { symbols: new Map(), pagePath: '', unresolved: [] },
+	{ templates = defaultTemplates, plugins = [] } = {},
+	intros = new Map()
+) => {
+	const page = getPageData(docsTree, links, plugins, intros);
+	const sections = page.sections.map((s) => ({
+		...s,
+		renderedComments: s.comments.map((d) => renderTemplate(templates, 'comment', d)),
+	}));
+	const renderedSections = sections.map((s) => renderTemplate(templates, 'section', s));
+
+	return renderTemplate(templates, 'page', { ...page, sections, renderedSections });
+};
+
+// The index page is rendered with the given templates, its links being resolved from the root of the document
+export const getIndexString = (
+	docsTree,
+	links = { symbols: new Map(), unresolved: [] },
+	{ templates = defaultTemplates } = {},
+	{ intros = new Map(), toc = [] } = {}
+) => {
+	const indexLinks = { ...links, pagePath: 'index.md' };
+
+	return renderTemplate(templates, 'index', {
+		title: getDocsTitle(docsTree),
+		intro: getDocsIntro(docsTree, indexLinks, intros),
+		toc,
+	});
+};
@@ -0,0 +1,166 @@
+/**
+ * @module Model
+ *
+ * @description
+ * This module turns the docs trees into the documentation model output by the `json` format: documents, pages,
+ * sections and normalized comments, free of the markdown layout, for tools such as search indexers, SDK generators or
+ * API diffing to consume.
+ *
+ * The model follows a versioned schema. Fields may be added within a version, while renaming or removing a field,
+ * or changing what it holds, raises `schemaVersion`.
+ *
+ * The main functionalities of this module include:
+ * - Building the model of a document (`getDocsModel` function)
+ *
+ * @requires ./markdown.mjs
+ */
+
+import { getDocsIntro, getDocsTitle, getPageData, getPageTitle } from './markdown.mjs';
+import path from 'path';
+
+/**
+ * Version of the schema of the documentation model.
+ *
+ * @constant
+ * @type {number}
+ */
+const schemaVersion = 1;
+
+/**
+ * @typedef {Object} ModelEntry
+ * @property {string} name - Name of the parameter or property, e.g. `users[].name`.
+ * @property {string} type - Type as written in the tag or the code.
+ * @property {boolean} optional - Whether the parameter or property is optional.
+ * @property {?string} defaultValue - Default value, from the tag or the code.
+ * @property {string} desc - Description, as markdown.
+ * @property {number} depth - Nesting depth, `0` for top-level names and `1` for properties of those.
+ */
+
+/**
+ * @typedef {Object} ModelComment
+ * @property {string} name - Name of the documented symbol.
+ * @property {string} anchor - Anchor of its heading in the page.
+ * @property {?string} kind - Kind of declaration, e.g. `function` or `typedef`, `null` if the comment does not
+ * document the declaration below it.
+ * @property {?string} signature - Signature of the declaration, e.g. `getUser(id, options?)`.
+ * @property {?string} typedef - Type given by the @typedef tag.
+ * @property {boolean} isAsync - Whether the comment has an @async tag.
+ * @property {?string} deprecated - Deprecation message as markdown, empty if none is given, `null` if not deprecated.
+ * @property {?string} since - Version given by the @since tag.
+ * @property {string} desc - Description, as markdown.
+ * @property {ModelEntry[]} params - Entries of the @param tags, nested ones right after their parent.
+ * @property {ModelEntry[]} properties - Entries of the @property tags.
+ * @property {ModelEntry[]} data - Entries of the @data tags.
+ * @property {?{type: string, desc: string}} returns - Type and description of the @returns tag.
+ * @property {Array<{type: ?string, desc: string}>} throws - Errors of the @throws tags.
+ * @property {string[]} fires - Events of the @fires and @emits tags.
+ * @property {string[]} listens - Events of the @listens tags.
+ * @property {Array<{caption: ?string, code: string, language: string}>} examples - Code of the @example tags.
+ * @property {string[]} see - References of the @see tags, as markdown.
+ * @property {Array<{type: string, markdown: string}>} customTags - Custom tags, as rendered by the plugins.
+ * @property {{file: string, line: number}} source - File the comment was parsed from, relative to the working
+ * directory, and line it starts at.
+ */
+
+/**
+ * @typedef {Object} ModelSection
+ * @property {string} name - Name of the section.
+ * @property {string} anchor - Anchor of its heading in the page.
+ * @property {ModelComment[]} comments - Comments of the section, in source order.
+ */
+
+/**
+ * @typedef {Object} ModelPage
+ * @property {string} title - Title of the page or folder.
+ * @property {?string} [desc] - Introduction of the page, from its intro file or @pageDesc tag, as markdown, pages
+ * only.
+ * @property {string} [path] - Path of the markdown page relative to the markdown folder, pages only.
+ * @property {ModelSection[]} [sections] - Sections of the page, pages only.
+ * @property {ModelPage[]} [pages] - Nested pages and folders, folders only.
+ */
+
+/**
+ * @typedef {Object} DocsModel
+ * @property {number} schemaVersion - Version of the schema the model follows.
+ * @property {string} name - Name of the document.
+ * @property {string} title - Title of the document, given by a @docsTitle tag or its name.
+ * @property {?string} intro - Introduction of the document, from its intro file or @docsIntro tag, as markdown.
+ * @property {ModelPage[]} pages - Pages and folders of the document.
+ */
+
+const toEntry = (row) => ({
+	name: row.name,
+	type: row.type,
+	optional: row.optional,
+	defaultValue: row.defaultValue,
+	desc: row.desc,
+	depth: row.depth,
+});
+
+// Source files are relative to the working directory and use forward slashes, so the model is the same on any machine
+const toSourceFile = (filePath) => path.relative(process.cwd(), filePath).split(path.sep).join('/');
+
+// Markdown renderings of the types are left out, their links only making sense in the generated pages
+const toComment = (data) => ({
+	name: data.name,
+	anchor: data.anchor,
+	kind: data.kind,
+	signature: data.signature,
+	typedef: data.typedef?.type ?? null,
+	isAsync: data.isAsync,
+	deprecated: data.deprecated,
+	since: data.since,
+	desc: data.desc,
+	params: data.params.map(toEntry),
+	properties: data.properties.map(toEntry),
+	data: data.data.map(toEntry),
+	returns: data.returns && { type: data.returns.type, desc: data.returns.desc },
+	throws: data.throws.map((t) => ({ type: t.type, desc: t.desc })),
+	fires: data.fires,
+	listens: data.listens,
+	examples: data.examples,
+	see: data.see,
+	customTags: data.customTags,
+	source: { file: toSourceFile(data.file), line: data.line },
+});
+
+const getPageModel = (docsTree, links, plugins, intros) => {
+	if (docsTree.subPages) {
+		const pages = docsTree.subPages.map((sp) => getPageModel(sp, links, plugins, intros));
+		return { title: getPageTitle(docsTree), pages };
+	}
+
+	const page = getPageData(docsTree, { ...links, pagePath: docsTree.path }, plugins, intros);
+
+	return {
+		title: page.title,
+		desc: page.desc,
+		path: page.path,
+		sections: page.sections.map((s) => ({ name: s.name, anchor: s.anchor, comments: s.comments.map(toComment) })),
+	};
+};
+
+/**
+ * Builds the documentation model of a docs tree. Links in descriptions are resolved as in the markdown pages,
+ * relative to the page of the comment.
+ *
+ * @param {Object} docsTree - Docs tree as returned by `getDocsTrees`.
+ * @param {import('./plugins.mjs').Plugin[]} [plugins] - Plugins whose tag handlers render the custom tags.
+ * @param {Map<string, string>} [intros] - Markdown of the intro files of the document, keyed by page path.
+ * @returns {DocsModel} The model of the document.
+ * @throws {Error} If a tag handler fails.
+ */
+const getDocsModel = (docsTree, plugins = [], intros = new Map()) => {
+	// Unresolved links are already reported when the markdown pages are rendered
+	const links = { symbols: docsTree.symbols, folder: docsTree.folder, unresolved: [] };
+
+	return {
+		schemaVersion,
+		name: docsTree.docsName,
+		title: getDocsTitle(docsTree),
+		intro: getDocsIntro(docsTree, { ...links, pagePath: 'index.md' }, intros),
+		pages: docsTree.subPages.map((sp) => getPageModel(sp, links, plugins, intros)),
+	};
+};
+
+export { getDocsModel, schemaVersion };
@@ -0,0 +1,238 @@
+/**
+ * @module Options
+ *
+ * @description
+ * This module holds the options table shared by the CLI tool, the configuration file and the Node API.
+ * Each option declares its default value, its command-line alias and description, and how raw values are parsed.
+ *
+ * The main functionalities of this module include:
+ * - Listing the available options (`defaults` constant)
+ * - Resolving the default option values (`getDefaultOptions` function)
+ * - Validating and parsing options given as an object (`parseOptions` function)
+ */
+
+/**
+ * @typedef {Object} CLIArg
+ * @property {string} alias - Shortened version of the option
+ * @property {string} desc - Description of the option
+ * @property {string|array|RegExp|boolean} value - Default value of the option
+ * @property {?function} [parse] - Function to parse the value of the option
+ * @property {?string} [example] - Example usage of the option
+ * @property {boolean} [cliOnly] - Whether the option can only be given on the command line
+ * @property {string[]} [choices] - Values the option is limited to
+ */
+
+/**
+ * Splits a comma-separated option value into a list.
+ * Commas inside braces are kept so glob brace expansions such as `*.{js,ts}` survive the split.
+ * Options given more than once (e.g. `--ignore dist --ignore lib`) are merged into a single list.
+ *
+ * @param {string|string[]} value - Raw option value as returned by minimist.
+ * @returns {string[]} List of non-empty values.
+ */
+const parseList = (value) =>
+	[value]
+		.flat()
+		.flatMap((v) => String(v).split(/,(?![^{]*\})/u))
+		.map((v) => v.trim())
+		.filter(Boolean);
+
+/**
+ * Default configuration options for the CLI tool, the configuration file and the Node API.
+ * Each option follows the structure defined in the {@link CLIArg} typedef.
+ *
+ * @constant
+ * @type {Object.<string, CLIArg>}
+ * @property {CLIArg} version - Option to display the version number.
+ * @property {CLIArg} help - Option to display the help message.
+ * @property {CLIArg} watch - Option to regenerate the documentation as the sources change.
+ * @property {CLIArg} port - Option to specify the port of the documentation preview.
+ * @property {CLIArg} config - Option to specify the configuration file to load.
+ * @property {CLIArg} source - Option to specify source files/directories to parse.
+ * @property {CLIArg} ignore - Option to specify files/directories to ignore.
+ * @property {CLIArg} gitignore - Option to honor .gitignore files while traversing the sources.
+ * @property {CLIArg} output - Option to specify the output directory for markdown files.
+ * @property {CLIArg} pattern - Option to specify glob patterns to match files for parsing.
+ * @property {CLIArg} format - Option to output markdown files, a single document or the documentation model.
+ * @property {CLIArg} target - Option to specify the documentation generator to output for.
+ * @property {CLIArg} mkdocsTemplate - Option to specify a base mkdocs.yml file to merge the generated nav into.
+ * @property {CLIArg} intros - Option to specify a directory of markdown files introducing the documents and pages.
+ * @property {CLIArg} templates - Option to specify a directory of templates replacing the default markdown layout.
+ * @property {CLIArg} plugins - Option to specify plugins extending the documentation pipeline.
+ * @property {CLIArg} check - Option to only report malformed comments.
+ * @property {CLIArg} strict - Option to fail on malformed comments.
+ */
+const defaults = Object.freeze({
+	version: Object.freeze({
+		alias: 'v',
+		desc: 'Display the version number',
+		value: false,
+		cliOnly: true,
+	}),
+	help: Object.freeze({
+		alias: 'h',
+		desc: 'Display this help message',
+		value: false,
+		cliOnly: true,
+	}),
+	watch: Object.freeze({
+		alias: 'w',
+		desc: 'Keep the documentation up to date as the sources change',
+		value: false,
+		cliOnly: true,
+	}),
+	port: Object.freeze({
+		alias: 'p',
+		desc: 'Port to serve the documentation preview on',
+		value: 8000,
+		example: '--port 8080',
+	}),
+	config: Object.freeze({
+		alias: 'c',
+		desc: 'Configuration file to load, defaults to the first one found in the working directory',
+		value: null,
+		example: '--config ./jsmkdocs.config.js',
+		cliOnly: true,
+	}),
+	source: Object.freeze({
+		alias: 's',
+		desc: 'Comma-separated list of source files/directories to parse',
+		value: Object.freeze(['./']),
+		parse: parseList,
+		example: '--source src,lib',
+	}),
+	ignore: Object.freeze({
+		alias: 'i',
+		desc: 'Comma-separated list of files/directories or glob patterns to ignore',
+		value: Object.freeze(['.git', 'node_modules']),
+		parse: parseList,
+		example: '--ignore .git,node_modules,**/dist/**',
+	}),
+	gitignore: Object.freeze({
+		alias: 'G',
+		desc: 'Honor .gitignore files found in the sources, use --no-gitignore to disable',
+		value: true,
+	}),
+	output: Object.freeze({
+		alias: 'o',
+		desc: 'Directory to output the generated markdown files',
+		value: './docs_src',
+		example: '--output ./docs',
+	}),
+	pattern: Object.freeze({
+		alias: 'g',
+		desc: 'Comma-separated list of glob patterns, relative to each source, that files must match to be parsed',
+		value: Object.freeze(['**/*.{js,ts,tsx}']),
+		parse: parseList,
+		example: '--pattern "**/*.{js,ts},!**/*.test.js"',
+	}),
+	format: Object.freeze({
+		alias: 'f',
+		desc: 'Output format: markdown files for the target, a single markdown file, a standalone html file, or json for the documentation model',
+		value: 'markdown',
+		choices: Object.freeze(['markdown', 'single', 'html', 'json']),
+		example: '--format json',
+	}),
+	target: Object.freeze({
+		alias: 'T',
+		desc: 'Documentation generator to output for: mkdocs, docusaurus, vitepress or markdown',
+		value: 'mkdocs',
+		choices: Object.freeze(['mkdocs', 'docusaurus', 'vitepress', 'markdown']),
+		example: '--target docusaurus',
+	}),
+	mkdocsTemplate: Object.freeze({
+		alias: 'm',
+		desc: 'Base mkdocs.yml file the generated nav is merged into, keeping its theme, plugins and other settings (mkdocs target only)',
+		value: '',
+		example: '--mkdocsTemplate ./mkdocs.base.yml',
+	}),
+	intros: Object.freeze({
+		alias: 'I',
+		desc: 'Directory of markdown files introducing the documents and pages, a folder per document laid out like its pages',
+		value: '',
+		example: '--intros ./docs/intros',
+	}),
+	templates: Object.freeze({
+		alias: 't',
+		desc: 'Directory of comment, section, page and index template modules replacing the default markdown layout',
+		value: '',
+		example: '--templates ./docs/templates',
+	}),
+	plugins: Object.freeze({
+		alias: 'P',
+		desc: 'Comma-separated list of plugin modules or packages extending the documentation pipeline',
+		value: Object.freeze([]),
+		parse: parseList,
+		example: '--plugins ./plugins/permissions.js,jsmkdocs-plugin-endpoints',
+	}),
+	check: Object.freeze({
+		alias: 'C',
+		desc: 'Only report malformed comments, without writing any documentation',
+		value: false,
+	}),
+	strict: Object.freeze({
+		alias: 'S',
+		desc: 'Fail without writing any documentation if a malformed comment is found',
+		value: false,
+	}),
+});
+
+/**
+ * Returns the default value of every option that is not exclusive to the command line.
+ *
+ * @returns {Object} Default option values keyed by option name.
+ */
+const getDefaultOptions = () =>
+	Object.fromEntries(
+		Object.entries(defaults)
+			.filter(([_, v]) => !v.cliOnly)
+			.map(([k, v]) => [k, v.value])
+	);
+
+/**
+ * Validates options given as an object (by a configuration file or through the Node API) against the defaults
+ * table and applies their parsing logic. List options accept either an array or a comma-separated string, and options
+ * with choices only accept one of them.
+ *
+ * @param {Object} options - Raw options object.
+ * @param {string} origin - Where the options come from, used in error messages.
+ * @returns {Object} Parsed options.
+ * @throws {Error} Listing every unknown or mistyped option.
+ */
+const parseOptions = (options, origin) => {
+	const errors = [];
+	const parsedOptions = {};
+
+	Object.entries(options).forEach(([k, v]) => {
+		if (!defaults[k] || defaults[k].cliOnly) {
+			errors.push(`'${k}' is not a valid option`);
+			return;
+		}
+
+		const { value: defVal, parse, choices } = defaults[k];
+		const isList = Array.isArray(defVal);
+		const isValid = isList
+			? typeof v === 'string' || (Array.isArray(v) && v.every((i) => typeof i === 'string'))
+			: typeof v === typeof defVal;
+
+		if (!isValid) {
+			errors.push(`'${k}' must be ${isList ? 'a list of strings' : `a ${typeof defVal}`}`);
+			return;
+		}
+
+		if (choices && !choices.includes(v)) {
+			errors.push(`'${k}' must be one of ${choices.join(', ')}`);
+			return;
+		}
+
+		parsedOptions[k] = parse ? parse(v) : v;
+	});
+
+	if (errors.length > 0) {
+		throw new Error(`Invalid options in ${origin}:\n\t${errors.join('\n\t')}`);
+	}
+
+	return parsedOptions;
+};
+
+export { defaults, getDefaultOptions, parseOptions };
@@ -0,0 +1,226 @@
+/**
+ * Traverses the source directory trees and collects an array of file
+ * paths for parsing. Then uses Dox to parse all the valid files and
+ * returns an array of JsMkDocs comment objects. Types left out of the
+ * tags are taken from the TypeScript annotations of the declaration.
+ */
+
+import dox from 'dox';
+import { findClosingEnd } from './tags.mjs';
+import fs from 'fs';
+import { getTagName } from './markdown.mjs';
+import ignore from 'ignore';
+import { parseDeclaration } from './declaration.mjs';
+import path from 'path';
+import picomatch from 'picomatch';
+
+// Globs are always matched against forward-slash paths relative to a source root
+const toGlobPath = (filePath) => filePath.split(path.sep).join('/');
+
+const getMatchers = (options) => {
+	const included = options.pattern.filter((p) => !p.startsWith('!'));
+	const excluded = options.pattern.filter((p) => p.startsWith('!')).map((p) => p.slice(1));
+
+	return {
+		// Bare names such as 'node_modules' are matched against the basename at any depth
+		isIgnored: picomatch(options.ignore, { basename: true, dot: true }),
+		isMatch: picomatch(included, { ignore: excluded }),
+		ignoreFiles: options.gitignore ? ['.gitignore', '.jsmkdocsignore'] : ['.jsmkdocsignore'],
+	};
+};
+
+// Returns the ignore rules declared in a directory, or null if it holds no ignore file
+const readIgnoreRules = (dir, matchers) => {
+	const filePaths = matchers.ignoreFiles.map((fn) => path.join(dir, fn)).filter((fp) => fs.existsSync(fp));
+
+	if (filePaths.length === 0) {
+		return null;
+	}
+
+	const rules = ignore().add(filePaths.map((fp) => fs.readFileSync(fp, 'utf8')).join('\n'));
+	return { base: dir, rules };
+};
+
+// Directories between the working directory and a source root may hold ignore files that apply to it as well
+const getInheritedIgnoreRules = (srcPath, matchers) => {
+	const relPath = path.relative(process.cwd(), srcPath);
+	const dirs = [];
+
+	if (!relPath.startsWith('..') && !path.isAbsolute(relPath)) {
+		for (let dir = srcPath; dir !== process.cwd(); ) {
+			dir = path.dirname(dir);
+			dirs.unshift(dir);
+		}
+	}
+
+	return dirs.map((dir) => readIgnoreRules(dir, matchers)).filter(Boolean);
+};
+
+// Applies gitignore semantics: deeper ignore files override the rules of their ancestors
+const isIgnoredByRules = (ignoreRules, filePath, isDirectory) =>
+	ignoreRules.reduce((isIgnored, { base, rules }) => {
+		const relPath = toGlobPath(path.relative(base, filePath)) + (isDirectory ? '/' : '');
+		const { ignored, unignored } = rules.test(relPath);
+
+		if (ignored) return true;
+		if (unignored) return false;
+		return isIgnored;
+	}, false);
+
+// Directories traversed are gathered along with the files, so that watchers pick up the files added to them later
+const getFilePaths = (root, dir, matchers, ignoreRules, found) => {
+	const dirIgnoreRules = readIgnoreRules(dir, matchers);
+	const activeIgnoreRules = dirIgnoreRules ? [...ignoreRules, dirIgnoreRules] : ignoreRules;
+
+	found.dirPaths.push(dir);
+
+	fs.readdirSync(dir).forEach((fn) => {
+		const filePath = path.resolve(dir, fn);
+		const relPath = toGlobPath(path.relative(root, filePath));
+		const isDirectory = fs.statSync(filePath).isDirectory();
+
+		// Skip ignored files / directories
+		if (matchers.isIgnored(relPath) || isIgnoredByRules(activeIgnoreRules, filePath, isDirectory)) {
+			return;
+		}
+
+		// Call recursively to traverse directory tree
+		if (isDirectory) {
+			getFilePaths(root, filePath, matchers, activeIgnoreRules, found);
+		} else if (matchers.isMatch(relPath)) {
+			// Add file path to array if valid
+			found.filePaths.push(filePath);
+		}
+	});
+
+	return found;
+};
+
+/**
+ * Traverses the sources and collects the paths of the source files matched by the given options, along with the
+ * directories traversed to find them.
+ *
+ * @param {Object} options - Resolved options, see `getJsMkDocsComments`.
+ * @returns {{filePaths: string[], dirPaths: string[]}} Absolute file paths, in traversal order, and absolute paths of
+ * the directories that are not ignored, source directories included.
+ */
+export const traverseSources = (options) => {
+	const matchers = getMatchers(options);
+	const found = { filePaths: [], dirPaths: [] };
+
+	options.source.forEach((src) => {
+		const srcPath = path.resolve(process.cwd(), src);
+
+		// Sources may point to a single file as well as to a directory
+		if (fs.statSync(srcPath).isDirectory()) {
+			getFilePaths(srcPath, srcPath, matchers, getInheritedIgnoreRules(srcPath, matchers), found);
+		} else {
+			found.filePaths.push(srcPath);
+		}
+	});
+
+	// Overlapping sources must not yield duplicated comments
+	return { filePaths: [...new Set(found.filePaths)], dirPaths: [...new Set(found.dirPaths)] };
+};
+
+/**
+ * Collects the paths of every source file matched by the given options.
+ *
+ * @param {Object} options - Resolved options, see `getJsMkDocsComments`.
+ * @returns {string[]} Absolute file paths, in traversal order.
+ */
+export const getSourceFilePaths = (options) => traverseSources(options).filePaths;
+
+// dox recognizes a few JavaScript declarations the scanner does not, e.g. 'Foo.bar = 1'
+const getDeclaration = (comment) => {
+	const declaration = parseDeclaration(comment.code ?? '');
+
+	if (declaration.name !== null || !comment.ctx?.name) {
+		return declaration;
+	}
+
+	const kind = ['function', 'method', 'class'].includes(comment.ctx.type) ? comment.ctx.type : declaration.kind;
+	return { ...declaration, name: comment.ctx.name, kind: kind ?? 'constant' };
+};
+
+const getAnnotatedType = (declaration, tag) => {
+	if (tag.type === 'returns') {
+		return declaration.returns;
+	}
+
+	const entries = tag.type === 'param' ? declaration.params : declaration.members;
+	return entries.find((e) => e.name === getTagName(tag))?.type ?? null;
+};
+
+// Fills in the '{type}' of @param, @returns, @property and @data tags that leave it out
+const addAnnotatedTypes = (comment) => {
+	comment.tags
+		.filter((t) => ['param', 'returns', 'property', 'data'].includes(t.type) && !t.string.startsWith('{'))
+		.forEach((t) => {
+			const type = getAnnotatedType(comment.declaration, t);
+
+			if (type) {
+				t.string = `{${type}} ${t.string}`;
+			}
+		});
+
+	return comment;
+};
+
+// Types of tags, e.g. '@param {string} id', are hidden as '{jsmkdocsType<hex>}' where dox cannot parse them
+const typeMarkRgx = /\{jsmkdocsType([\da-f]+)\}/gu;
+
+const hideTagTypes = (text) =>
+	text.replace(/\/\*\*[\s\S]*?\*\//gu, (block) =>
+		block.replace(/(@\w+[ \t]+)(\{.*)/gu, (_match, tagText, rest) => {
+			// Types left unclosed are hidden up to the end of the line
+			const typeText = rest.slice(0, findClosingEnd(rest) || rest.length);
+			return `${tagText}{jsmkdocsType${Buffer.from(typeText).toString('hex')}}${rest.slice(typeText.length)}`;
+		})
+	);
+
+// dox throws on the first type it cannot parse, which would abort the whole run. The files it fails on are parsed
+// again with their types hidden, then restored in the tags for the validator to report the malformed ones.
+const parseComments = (text) => {
+	try {
+		return dox.parseComments(text);
+	} catch (_error) {
+		const comments = dox.parseComments(hideTagTypes(text));
+
+		comments.forEach((c) =>
+			c.tags.forEach((t) => {
+				t.string = t.string.replace(typeMarkRgx, (_match, hex) => Buffer.from(hex, 'hex').toString());
+			})
+		);
+
+		return comments;
+	}
+};
+
+/**
+ * Parses a single source file and returns the comments that carry a `@docs` tag.
+ *
+ * @param {string} filePath - Absolute path of the file to parse.
+ * @returns {Object[]} Dox comment objects with a `@docs` tag, along with the `file` they were parsed from and the
+ * `declaration` following them.
+ */
+export const parseFile = (filePath) => {
+	const text = fs.readFileSync(filePath, 'utf8');
+
+	// Only return comments with docs tags
+	return parseComments(text)
+		.filter((c) => c.tags.filter((t) => t.type === 'docs')[0])
+		.map((c) => addAnnotatedTypes(Object.assign(c, { file: filePath, declaration: getDeclaration(c) })));
+};
+
+/**
+ * Parses every source file matched by the given options and returns the comments that carry a `@docs` tag.
+ *
+ * @param {Object} options - Resolved CLI options.
+ * @param {string[]} options.source - Files or directories to parse.
+ * @param {string[]} options.ignore - File or directory names, or globs relative to a source, to skip while traversing.
+ * @param {string[]} options.pattern - Globs relative to a source that files must match; `!` negates a glob.
+ * @param {boolean} options.gitignore - Whether `.gitignore` files are honored besides `.jsmkdocsignore` files.
+ * @returns {Object[]} Dox comment objects with a `@docs` tag, along with the `file` they were parsed from.
+ */
+export const getJsMkDocsComments = (options) => getSourceFilePaths(options).flatMap(parseFile);
@@ -0,0 +1,261 @@
+/**
+ * @module Plugins
+ *
+ * @description
+ * This module loads the plugins extending JsMkDocs and runs their hooks. A plugin is a module whose default export is
+ * an object with a `name` and any of the following hooks, run in this order for each generation:
+ *
+ * 1. `transformComments(comments, context)`: after the sources are parsed and before the comments are validated.
+ *    In watch and serve modes, it runs with the comments of each source file parsed again.
+ * 2. `transformDocsTrees(docsTrees, context)`: after the docs trees are built, before they are rendered.
+ *    In watch and serve modes, it runs with the docs trees of every document on each rebuild.
+ * 3. `tags`: handlers rendering custom tags, e.g. `@permission`, keyed by tag name. Each one receives the tags of its
+ *    name found in a comment, the comment, and a `renderLinks` function resolving `{@link}` tags, and returns the
+ *    markdown added after the comment.
+ * 4. `transformMarkdown(markdown, context)`: for each rendered page, before it is written or served.
+ *
+ * Transform hooks may return a new value or mutate the given one and return nothing. Plugins run in the order they
+ * are listed, each receiving the value returned by the previous one.
+ *
+ * The main functionalities of this module include:
+ * - Loading the plugins and templates given by the options (`loadExtensions` function)
+ * - Running the transform hooks (`transformComments`, `transformDocsTrees` and `transformMarkdown` functions)
+ */
+
+import { defaultTemplates, loadTemplates } from './templates.mjs';
+import { createRequire } from 'module';
+import fs from 'fs';
+import { indexDocsTrees } from './builder.mjs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Names of the transform hooks a plugin may have.
+ *
+ * @constant
+ * @type {string[]}
+ */
+const hookNames = Object.freeze(['transformComments', 'transformDocsTrees', 'transformMarkdown']);
+
+/**
+ * Tags rendered by JsMkDocs itself, which plugins cannot handle.
+ *
+ * @constant
+ * @type {string[]}
+ */
+const builtInTags = Object.freeze([
+	'docs',
+	'desc',
+	'param',
+	'property',
+	'data',
+	'returns',
+	'throws',
+	'fires',
+	'emits',
+	'listens',
+	'example',
+	'see',
+	'async',
+	'deprecated',
+	'since',
+	'typedef',
+	'order',
+	'sectionOrder',
+	'pageTitle',
+	'pageDesc',
+	'docsTitle',
+	'docsIntro',
+]);
+
+/**
+ * @typedef {Object} Plugin
+ * @property {string} name - Name of the plugin, used in error messages.
+ * @property {function(Object[], {options: Object}): ?Object[]} [transformComments] - Transforms the parsed comments.
+ * @property {function(Object[], {options: Object}): ?Object[]} [transformDocsTrees] - Transforms the docs trees.
+ * @property {function(string, {docsName: string, path: string, options: Object}): ?string} [transformMarkdown] -
+ * Transforms the markdown of a page.
+ * @property {Object.<string, function(Object[], Object, {renderLinks: function(string): string}): ?string>} [tags] -
+ * Handlers rendering custom tags, keyed by tag name.
+ */
+
+/**
+ * @typedef {Object} Extensions
+ * @property {import('./templates.mjs').Templates} templates - Templates to render the pages with.
+ * @property {Plugin[]} plugins - Plugins to run, in order.
+ */
+
+/**
+ * Extensions used when none are given: the default templates and no plugins.
+ *
+ * @constant
+ * @type {Extensions}
+ */
+const defaultExtensions = Object.freeze({ templates: defaultTemplates, plugins: Object.freeze([]) });
+
+/**
+ * Resolves a plugin to the file to import. Paths are relative to the working directory, and package names are
+ * resolved from the project in the working directory rather than from JsMkDocs.
+ *
+ * @param {string} plugin - Path of the plugin module, or name of the package exporting it.
+ * @returns {string} Absolute path of the plugin module.
+ * @throws {Error} If the plugin cannot be found.
+ */
+const resolvePlugin = (plugin) => {
+	if (plugin.startsWith('.') || path.isAbsolute(plugin)) {
+		const filePath = path.resolve(process.cwd(), plugin);
+
+		if (!fs.existsSync(filePath)) {
+			throw new Error(`Plugin '${filePath}' does not exist`);
+		}
+
+		return filePath;
+	}
+
+	try {
+		return createRequire(path.join(process.cwd(), 'package.json')).resolve(plugin);
+	} catch (error) {
+		throw new Error(`Plugin package '${plugin}' could not be found`, { cause: error });
+	}
+};
+
+/**
+ * Checks that a plugin only has known hooks, that they are functions, and that its tag handlers do not take over
+ * built-in tags.
+ *
+ * @param {*} plugin - Default export of the plugin module.
+ * @param {string} origin - Path or package name of the plugin, used in error messages.
+ * @returns {string[]} The problems found, empty if the plugin is valid.
+ */
+const getPluginProblems = (plugin, origin) => {
+	if (typeof plugin !== 'object' || plugin === null || Array.isArray(plugin)) {
+		return [`'${origin}' does not export a plugin object as default`];
+	}
+
+	const keys = Object.keys(plugin).filter((k) => k !== 'name' && k !== 'tags');
+	const hasTagsObject = typeof (plugin.tags ?? {}) === 'object' && plugin.tags !== null;
+	const tags = hasTagsObject ? Object.entries(plugin.tags ?? {}) : [];
+
+	return [
+		...(hasTagsObject ? [] : ["'tags' is not an object of tag handlers"]),
+		...keys.filter((k) => !hookNames.includes(k)).map((k) => `'${k}' is not a valid hook`),
+		...keys
+			.filter((k) => hookNames.includes(k) && typeof plugin[k] !== 'function')
+			.map((k) => `'${k}' is not a function`),
+		...tags.filter(([, h]) => typeof h !== 'function').map(([t]) => `the handler of @${t} is not a function`),
+		...tags.filter(([t]) => builtInTags.includes(t)).map(([t]) => `@${t} is a built-in tag`),
+	].map((p) => `Plugin '${plugin.name ?? origin}': ${p}`);
+};
+
+/**
+ * Imports and validates the given plugins.
+ *
+ * @param {string[]} plugins - Paths of the plugin modules, relative to the working directory, or package names.
+ * @returns {Promise<Plugin[]>} The plugins, in the given order.
+ * @throws {Error} Listing every plugin that cannot be loaded or is invalid, or tags handled by several plugins.
+ */
+const loadPlugins = async (plugins) => {
+	const loaded = await Promise.all(
+		plugins.map(async (p) => {
+			const module = await import(pathToFileURL(resolvePlugin(p)).href);
+			return { origin: p, plugin: module.default };
+		})
+	);
+
+	const handledTags = loaded.flatMap(({ plugin }) => Object.keys(Object(plugin?.tags)));
+	const problems = [
+		...loaded.flatMap(({ origin, plugin }) => getPluginProblems(plugin, origin)),
+		...[...new Set(handledTags.filter((t, i) => handledTags.indexOf(t) !== i))].map(
+			(t) => `@${t} is handled by several plugins`
+		),
+	];
+
+	if (problems.length > 0) {
+		throw new Error(`Invalid plugins:\n\t${problems.join('\n\t')}`);
+	}
+
+	return loaded.map(({ origin, plugin }) => ({ ...plugin, name: plugin.name ?? origin }));
+};
+
+/**
+ * Loads the templates and plugins given by the options.
+ *
+ * @param {Object} options - Resolved options.
+ * @param {string} options.templates - Path of the templates directory, empty for the default templates.
+ * @param {string[]} options.plugins - Paths or package names of the plugins.
+ * @returns {Promise<Extensions>} The loaded templates and plugins.
+ * @throws {Error} If the templates or plugins cannot be loaded or are invalid.
+ */
+const loadExtensions = async (options) => ({
+	templates: await loadTemplates(options.templates),
+	plugins: await loadPlugins(options.plugins),
+});
+
+/**
+ * Runs a transform hook of every plugin having it, each one receiving the value returned by the previous one.
+ *
+ * @param {Plugin[]} plugins - Plugins to run.
+ * @param {string} hookName - Name of the hook.
+ * @param {*} value - Value to transform.
+ * @param {Object} context - Context given to the hook along with the value.
+ * @returns {*} The transformed value.
+ * @throws {Error} Naming the plugin whose hook failed.
+ */
+const runHook = (plugins, hookName, value, context) =>
+	plugins
+		.filter((p) => p[hookName])
+		.reduce((current, p) => {
+			try {
+				return p[hookName](current, context) ?? current;
+			} catch (error) {
+				throw new Error(`Plugin '${p.name}' failed in ${hookName}: ${error.message}`, { cause: error });
+			}
+		}, value);
+
+/**
+ * Runs the `transformComments` hook of the plugins.
+ *
+ * @param {Plugin[]} plugins - Plugins to run.
+ * @param {Object[]} comments - Comments as returned by the parser.
+ * @param {Object} options - Resolved options.
+ * @returns {Object[]} The transformed comments.
+ * @throws {Error} Naming the plugin whose hook failed.
+ */
+const transformComments = (plugins, comments, options) => runHook(plugins, 'transformComments', comments, { options });
+
+/**
+ * Runs the `transformDocsTrees` hook of the plugins, then indexes the docs trees again so that links reach the
+ * pages and symbols the plugins added or moved.
+ *
+ * @param {Plugin[]} plugins - Plugins to run.
+ * @param {Object[]} docsTrees - Docs trees as returned by `getDocsTrees`.
+ * @param {Object} options - Resolved options.
+ * @returns {Object[]} The transformed docs trees.
+ * @throws {Error} Naming the plugin whose hook failed.
+ */
+const transformDocsTrees = (plugins, docsTrees, options) => {
+	if (!plugins.some((p) => p.transformDocsTrees)) {
+		return docsTrees;
+	}
+
+	const transformed = runHook(plugins, 'transformDocsTrees', docsTrees, { options });
+
+	indexDocsTrees(transformed);
+	return transformed;
+};
+
+/**
+ * Runs the `transformMarkdown` hook of the plugins on a page.
+ *
+ * @param {Plugin[]} plugins - Plugins to run.
+ * @param {string} markdown - Markdown of the page.
+ * @param {Object} context - Context of the page.
+ * @param {string} context.docsName - Name of the document the page belongs to.
+ * @param {string} context.path - Path of the page relative to the markdown folder.
+ * @param {Object} context.options - Resolved options.
+ * @returns {string} The transformed markdown.
+ * @throws {Error} Naming the plugin whose hook failed.
+ */
+const transformMarkdown = (plugins, markdown, context) => runHook(plugins, 'transformMarkdown', markdown, context);
+
+export { defaultExtensions, loadExtensions, transformComments, transformDocsTrees, transformMarkdown };
@@ -0,0 +1,205 @@
+/**
+ * @module Server
+ *
+ * @description
+ * This module serves a live preview of the documentation, so it can be browsed without installing MkDocs.
+ * Documents are kept in memory by the watcher, their markdown pages are rendered to HTML on request with the same
+ * navigation as their mkdocs.yml file, and browsers reload the page they show whenever a document is rebuilt.
+ *
+ * Each document is served under its folder, e.g. `/some-docs/users/helpers.html` for the `users/helpers.md` page
+ * of the "Some Docs" document, so links between documents lead to their pages. Browsers listen for rebuilds through
+ * server-sent events.
+ *
+ * @requires ./html.mjs
+ * @requires ./watcher.mjs
+ */
+
+import { escapeHtml, renderHtml, renderMarkdownHtml } from './html.mjs';
+import { logInfo, logSuccess } from './logger.mjs';
+import http from 'http';
+import { watchDocs } from './watcher.mjs';
+
+/**
+ * Path browsers listen to for rebuild events.
+ *
+ * @constant
+ * @type {string}
+ */
+const reloadPath = '/__jsmkdocs/reload';
+
+/**
+ * Script reloading served pages whenever their document is rebuilt.
+ *
+ * @constant
+ * @type {string}
+ */
+const reloadScript = `<script>new EventSource('${reloadPath}').onmessage = () => location.reload();</script>`;
+
+/**
+ * HTTP status codes used by the server.
+ *
+ * @constant
+ * @type {Object.<string, number>}
+ */
+const status = Object.freeze({ ok: 200, found: 302, badRequest: 400, notFound: 404 });
+
+// Index pages are served as the folder they are in, other pages with an .html extension
+const getPageUrl = (folder, pagePath) => {
+	const urlPath = pagePath.replace(/(^|\/)index\.md$/u, '$1').replace(/\.md$/u, '.html');
+	return `/${[folder, ...urlPath.split('/')].map(encodeURIComponent).join('/')}`;
+};
+
+const getPagePath = (urlPath) => {
+	if (urlPath === '' || urlPath.endsWith('/')) {
+		return `${urlPath}index.md`;
+	}
+
+	return urlPath.replace(/\.html$/u, '.md');
+};
+
+const renderNavHtml = (folder, nav, pagePath) => {
+	const items = nav.map((item) => {
+		if (item.children) {
+			return `<li>${escapeHtml(item.title)}${renderNavHtml(folder, item.children, pagePath)}</li>`;
+		}
+
+		const className = item.path === pagePath ? ' class="active"' : '';
+		return `<li><a href="${getPageUrl(folder, item.path)}"${className}>${escapeHtml(item.title)}</a></li>`;
+	});
+
+	return `<ul>${items.join('')}</ul>`;
+};
+
+const renderDocsList = (documents) => {
+	const items = [...documents.values()].map(
+		(d) => `<li><a href="${getPageUrl(d.folder, 'index.md')}">${escapeHtml(d.title)}</a></li>`
+	);
+
+	return renderHtml('Documentation', '', `<h1>Documentation</h1><ul>${items.join('')}</ul>`, reloadScript);
+};
+
+const renderPage = (rendered, pagePath) => {
+	const page = rendered.pages.find((p) => p.path === pagePath);
+
+	if (!page) {
+		return null;
+	}
+
+	const siteLink = `<a class="site" href="${getPageUrl(rendered.folder, 'index.md')}">${escapeHtml(rendered.title)}</a>`;
+	const navHtml = siteLink + renderNavHtml(rendered.folder, rendered.nav, pagePath);
+
+	return renderHtml(rendered.title, navHtml, renderMarkdownHtml(page.markdown), reloadScript);
+};
+
+const listenForReloads = (req, res, clients) => {
+	res.writeHead(status.ok, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+	res.write(': connected\n\n');
+
+	clients.add(res);
+	req.on('close', () => clients.delete(res));
+};
+
+// Decoded segments of the requested path, or null if it is not a valid URL, e.g. '/Api/%E0%A4%A'
+const getPathSegments = (url) => {
+	try {
+		return new URL(url, 'http://localhost').pathname.slice(1).split('/').map(decodeURIComponent);
+	} catch (_error) {
+		return null;
+	}
+};
+
+const sendText = (res, statusCode, text) => {
+	res.writeHead(statusCode, { 'Content-Type': 'text/plain; charset=utf-8' });
+	res.end(text);
+};
+
+const handleRequest = (req, res, preview) => {
+	if (req.url === reloadPath) {
+		listenForReloads(req, res, preview.clients);
+		return;
+	}
+
+	const segments = getPathSegments(req.url);
+
+	if (!segments) {
+		sendText(res, status.badRequest, 'Bad request');
+		return;
+	}
+
+	const [docsSegment, ...pageSegments] = segments;
+
+	// A single document is served right away
+	if (docsSegment === '' && preview.documents.size === 1) {
+		const [rendered] = preview.documents.values();
+
+		res.writeHead(status.found, { Location: getPageUrl(rendered.folder, 'index.md') });
+		res.end();
+		return;
+	}
+
+	const rendered = [...preview.documents.values()].find((d) => d.folder === docsSegment);
+	const pagePath = getPagePath(pageSegments.join('/'));
+	const html = docsSegment === '' ? renderDocsList(preview.documents) : rendered && renderPage(rendered, pagePath);
+
+	if (html) {
+		res.writeHead(status.ok, { 'Content-Type': 'text/html; charset=utf-8' });
+		res.end(html);
+	} else {
+		sendText(res, status.notFound, 'Page not found');
+	}
+};
+
+/**
+ * @typedef {Object} Serve
+ * @property {string} url - URL the documentation is served at.
+ * @property {function(): Promise<void>} close - Stops watching the sources and serving the documentation.
+ */
+
+/**
+ * Builds the documentation in memory and serves it, rebuilding it and reloading browsers as the sources change.
+ *
+ * @param {Object} options - Resolved options.
+ * @param {number} options.port - Port to serve the documentation on.
+ * @returns {Promise<Serve>} Resolves once the documentation is served.
+ * @throws {Error} If the server cannot listen on the port.
+ */
+export const serveDocs = async (options) => {
+	const preview = { documents: new Map(), clients: new Set() };
+
+	// Pages are previewed as the markdown target lays them out, right in the folder of their document
+	const watch = await watchDocs(
+		{ ...options, target: 'markdown' },
+		{
+			write: false,
+			onUpdate: (rendered) => {
+				preview.documents = rendered;
+				preview.clients.forEach((res) => res.write('data: reload\n\n'));
+			},
+		}
+	);
+
+	const httpServer = http.createServer((req, res) => handleRequest(req, res, preview));
+
+	await new Promise((resolve, reject) => {
+		httpServer.once('error', (error) => {
+			watch.close();
+			reject(error);
+		});
+		httpServer.listen(options.port, 'localhost', resolve);
+	});
+
+	const url = `http://localhost:${options.port}/`;
+
+	logSuccess(`Serving documentation at ${url}`);
+	logInfo('Browsers reload as the sources change');
+
+	return {
+		url,
+		close: () =>
+			new Promise((resolve) => {
+				watch.close();
+				preview.clients.forEach((res) => res.end());
+				httpServer.close(() => resolve());
+			}),
+	};
+};
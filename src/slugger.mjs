@@ -0,0 +1,112 @@
+/**
+ * @module Slugger
+ *
+ * @description
+ * This module turns names into the file names of the pages and the anchors of their headings.
+ *
+ * File names only keep letters, digits and dashes, so they are safe on every file system and in URLs. Anchors follow
+ * MkDocs, so links written before anchors were explicit keep working, and are written in the headings of the pages
+ * as `{#anchor}` attributes: the targets and the HTML renderer then agree on them, whatever their own slug rules.
+ *
+ * The main functionalities of this module include:
+ * - Turning a page name into a file name (`slugifyFilename` function)
+ * - Turning a heading into a unique anchor (`slugify` and `getUniqueAnchor` functions)
+ * - Writing and reading the anchors of headings (`renderHeadingId`, `splitHeadingId` and `replaceHeadingIds`
+ *   functions)
+ */
+
+/**
+ * File name of the pages whose name holds no letter or digit.
+ *
+ * @constant
+ * @type {string}
+ */
+const defaultFilename = 'page';
+
+// Anchor attribute ending a heading, e.g. '{#getuser}'
+const headingIdRgx = /\s*\{#([\w-]+)\}\s*$/u;
+
+// ATX headings ending with an anchor attribute, e.g. '### getUser {#getuser}'
+const headingLineRgx = /^(#{1,6}[ \t].*?)[ \t]*\{#([\w-]+)\}[ \t]*$/gmu;
+
+/**
+ * Turns a page or folder name into its file name: accents are dropped, and characters other than letters and digits
+ * become single dashes, e.g. `users-accounts` for `Users & Accounts`.
+ *
+ * @param {string} name - Name of the page or folder.
+ * @returns {string} The file name, without its extension.
+ */
+const slugifyFilename = (name) =>
+	name
+		.normalize('NFKD')
+		.replace(/\p{M}/gu, '')
+		.toLowerCase()
+		.replace(/[^\p{L}\p{N}]+/gu, '-')
+		.replace(/^-|-$/gu, '') || defaultFilename;
+
+/**
+ * Turns a heading into its anchor the way MkDocs does, e.g. `#getusernames` for `getUsernames`.
+ *
+ * @param {string} text - Text of the heading.
+ * @returns {string} The anchor, without its leading `#`.
+ */
+const slugify = (text) =>
+	text
+		.normalize('NFKD')
+		.replace(/[^\w\s-]/gu, '')
+		.trim()
+		.toLowerCase()
+		.replace(/[-\s]+/gu, '-');
+
+/**
+ * Returns the anchor of a heading that is unique within its page, numbering the repeated ones the way MkDocs does,
+ * e.g. `#user_1` for the second `User` heading.
+ *
+ * @param {string} text - Text of the heading.
+ * @param {Set<string>} anchors - Anchors already used in the page, completed in place.
+ * @returns {string} The anchor, without its leading `#`.
+ */
+const getUniqueAnchor = (text, anchors) => {
+	let anchor = slugify(text);
+
+	while (anchor === '' || anchors.has(anchor)) {
+		const [, base, count] = anchor.match(/^(.*)_(\d+)$/u) ?? [null, anchor, '0'];
+		anchor = `${base}_${Number(count) + 1}`;
+	}
+
+	anchors.add(anchor);
+	return anchor;
+};
+
+/**
+ * Writes the anchor of a heading as an attribute following its text.
+ *
+ * @param {string} text - Text of the heading.
+ * @param {string} anchor - Anchor of the heading.
+ * @returns {string} The text followed by the anchor attribute, e.g. `getUser {#getuser}`.
+ */
+const renderHeadingId = (text, anchor) => `${text} {#${anchor}}`;
+
+/**
+ * Separates the text of a heading from the anchor attribute it ends with, if any.
+ *
+ * @param {string} text - Text of the heading, e.g. `getUser {#getuser}`.
+ * @returns {{text: string, id: ?string}} The text without the attribute, and the anchor it gives.
+ */
+const splitHeadingId = (text) => {
+	const match = text.match(headingIdRgx);
+	return match ? { text: text.slice(0, match.index), id: match[1] } : { text, id: null };
+};
+
+/**
+ * Replaces the anchor attributes ending the headings of a page, for renderers that do not support them.
+ *
+ * @param {string} markdown - Markdown of the page.
+ * @param {function(string, string): string} render - Renders a heading line, given the line without its attribute
+ * and the anchor.
+ * @returns {string} The markdown with its anchor attributes replaced.
+ */
+const replaceHeadingIds = (markdown, render) =>
+	markdown.replace(headingLineRgx, (_match, heading, anchor) => render(heading, anchor));
+
+export { getUniqueAnchor, renderHeadingId, replaceHeadingIds, slugify, slugifyFilename, splitHeadingId };
@@ -0,0 +1,179 @@
+/**
+ * @module Standalone
+ *
+ * @description
+ * This module joins the pages of a document into a single self-contained document, for release artifacts or offline
+ * handoff: either a markdown file starting with a table of contents, or an HTML file with embedded styles and the
+ * table of contents as its navigation.
+ *
+ * Pages follow each other in the order of the nav, each one under a heading of its title nested in the headings of
+ * its folders, and links between pages are turned into links to the headings of the document.
+ *
+ * The main functionalities of this module include:
+ * - Rendering a single markdown file (`renderSingleMarkdown` function)
+ * - Rendering a standalone HTML file (`renderStandaloneHtml` function)
+ *
+ * @requires ./html.mjs
+ * @requires ./slugger.mjs
+ * @requires ./targets.mjs
+ */
+
+import { escapeHtml, getHeadings, renderHtml, renderMarkdownHtml } from './html.mjs';
+import { getUniqueAnchor, renderHeadingId } from './slugger.mjs';
+import path from 'path';
+import { renderPlainMarkdown } from './targets.mjs';
+
+/**
+ * Level of the headings of the top-level pages, the title of the document being the only level 1 heading.
+ *
+ * @constant
+ * @type {number}
+ */
+const pageLevel = 2;
+
+/**
+ * Deepest heading level markdown supports, deeper headings being kept at this level.
+ *
+ * @constant
+ * @type {number}
+ */
+const maxLevel = 6;
+
+// Link destinations of inline markdown links, e.g. '../users.md#getuser'
+const linkUrlRgx = /\]\(([^()\s]+)\)/gu;
+
+/**
+ * @typedef {Object} TocEntry
+ * @property {string} title - Title of the folder, page or section.
+ * @property {string} anchor - Anchor of its heading in the document.
+ * @property {TocEntry[]} children - Pages and folders of a folder, or sections of a page.
+ */
+
+// Only headings starting with '#' signs are shifted and given their anchor in the single document, pages never being
+// rendered with underlined ones
+const shiftHeadings = (markdown, headings, offset) => {
+	const lines = markdown.split('\n');
+
+	headings
+		.filter((h) => h.isAtx)
+		.forEach((h) => {
+			const [indent] = lines[h.line].match(/^\s*/u);
+			const level = Math.min(h.level + offset, maxLevel);
+
+			lines[h.line] = `${indent}${'#'.repeat(level)} ${renderHeadingId(h.text.trim(), h.anchor)}`;
+		});
+
+	return lines.join('\n');
+};
+
+// Headings are given the anchors they get in the single document, and the anchors they had in their page are mapped
+// to them so links can be rewritten. Returns the sections of the page, i.e. its level 2 headings.
+const addPage = (doc, page, level) => {
+	const headings = getHeadings(page.markdown).map((h) => ({
+		...h,
+		anchor: getUniqueAnchor(h.id ?? h.text, doc.anchors),
+	}));
+
+	// As when rendered, the anchors of attributes are taken first in the page
+	const pageAnchors = new Set(headings.map((h) => h.id).filter(Boolean));
+
+	headings.forEach((h) => doc.urls.set(`${page.path}#${h.id ?? getUniqueAnchor(h.text, pageAnchors)}`, h.anchor));
+
+	// Pages start at level 2, right below their title
+	doc.parts.push({ path: page.path, markdown: shiftHeadings(page.markdown, headings, level - 1).trim() });
+	return headings.filter((h) => h.level === pageLevel).map((h) => ({ title: h.text, anchor: h.anchor, children: [] }));
+};
+
+const addNavItems = (doc, items, pages, level) =>
+	items.map((item) => {
+		const anchor = getUniqueAnchor(item.title, doc.anchors);
+
+		doc.parts.push({
+			path: null,
+			markdown: `${'#'.repeat(Math.min(level, maxLevel))} ${renderHeadingId(item.title, anchor)}`,
+		});
+
+		if (item.children) {
+			return { title: item.title, anchor, children: addNavItems(doc, item.children, pages, level + 1) };
+		}
+
+		doc.urls.set(item.path, anchor);
+		return { title: item.title, anchor, children: addPage(doc, pages.get(item.path), level) };
+	});
+
+// Links to pages of the document, with or without an anchor, point to the headings they became
+const rewriteLinks = (markdown, pagePath, urls) =>
+	markdown.replace(linkUrlRgx, (match, url) => {
+		const [filePath, hash] = url.split('#');
+		const targetPath = filePath ? path.posix.join(path.posix.dirname(pagePath), decodeURI(filePath)) : pagePath;
+		const anchor = urls.get(url.includes('#') ? `${targetPath}#${hash}` : targetPath);
+
+		return anchor ? `](#${anchor})` : match;
+	});
+
+/**
+ * Joins the pages of a document in the order of its nav, the home page first.
+ *
+ * @param {import('./writer.mjs').RenderedPage[]} pages - Markdown pages of the document, home page included.
+ * @param {import('./writer.mjs').NavItem[]} nav - Navigation tree of the document, home page first.
+ * @returns {{home: string, body: string, toc: TocEntry[]}} The markdown of the home page and of the other pages,
+ * and the table of contents.
+ */
+const joinPages = (pages, nav) => {
+	const doc = { anchors: new Set(), urls: new Map(), parts: [] };
+	const pagesByPath = new Map(pages.map((p) => [p.path, p]));
+	const [homeItem, ...items] = nav;
+
+	addPage(doc, pagesByPath.get(homeItem.path), 1);
+
+	const toc = addNavItems(doc, items, pagesByPath, pageLevel);
+	const [home, ...parts] = doc.parts.map((p) => (p.path ? rewriteLinks(p.markdown, p.path, doc.urls) : p.markdown));
+
+	return { home, body: parts.join('\n\n'), toc };
+};
+
+const renderTocMarkdown = (toc, depth = 0) =>
+	toc.flatMap((e) => [
+		`${'  '.repeat(depth)}- [${e.title}](#${e.anchor})`,
+		...renderTocMarkdown(e.children, depth + 1),
+	]);
+
+const renderTocHtml = (toc) =>
+	`<ul>${toc
+		.map((e) => {
+			const childrenHtml = e.children.length > 0 ? renderTocHtml(e.children) : '';
+			return `<li><a href="#${e.anchor}">${escapeHtml(e.title)}</a>${childrenHtml}</li>`;
+		})
+		.join('')}</ul>`;
+
+/**
+ * Renders a document as a single markdown file, its table of contents following the home page. Admonitions are
+ * rendered as blockquotes so that any markdown renderer displays them.
+ *
+ * @param {import('./writer.mjs').RenderedPage[]} pages - Markdown pages of the document, home page included.
+ * @param {import('./writer.mjs').NavItem[]} nav - Navigation tree of the document, home page first.
+ * @returns {string} The markdown of the document.
+ */
+const renderSingleMarkdown = (pages, nav) => {
+	const { home, body, toc } = joinPages(pages, nav);
+	const markdown = [home, `**Contents**\n\n${renderTocMarkdown(toc).join('\n')}`, body].filter(Boolean).join('\n\n');
+
+	return `${renderPlainMarkdown(markdown).trimEnd()}\n`;
+};
+
+/**
+ * Renders a document as a standalone HTML file, its table of contents being the navigation of the page.
+ *
+ * @param {string} title - Title of the document.
+ * @param {import('./writer.mjs').RenderedPage[]} pages - Markdown pages of the document, home page included.
+ * @param {import('./writer.mjs').NavItem[]} nav - Navigation tree of the document, home page first.
+ * @returns {string} The HTML of the document.
+ */
+const renderStandaloneHtml = (title, pages, nav) => {
+	const { home, body, toc } = joinPages(pages, nav);
+	const siteLink = `<a class="site" href="#">${escapeHtml(title)}</a>`;
+
+	return `${renderHtml(title, siteLink + renderTocHtml(toc), renderMarkdownHtml(`${home}\n\n${body}`))}\n`;
+};
+
+export { renderSingleMarkdown, renderStandaloneHtml };
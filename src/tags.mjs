@@ -0,0 +1,368 @@
+/**
+ * @module Tags
+ *
+ * @description
+ * This module parses the `{type} name - description` layout shared by the @param, @property, @data, @returns and
+ * @throws tags. Types are parsed as JSDoc type expressions, TypeScript syntax included, so unions, generics,
+ * nullables, records, tuples and function types are understood; names may be optional, have a default value and
+ * refer to a property of another parameter, e.g. `[options.limit=10]` or `users[].name`.
+ *
+ * The main functionalities of this module include:
+ * - Validating type expressions (`parseType` function)
+ * - Parsing the name of a tag, with its default value (`parseName` function)
+ * - Splitting a tag into its type, name, default value and description (`parseTypedTag` function)
+ */
+
+/**
+ * Tokens of type expressions: operators, identifiers, number and string literals.
+ *
+ * @constant
+ * @type {RegExp}
+ */
+const tokenRgx =
+	/\s*(\.{3}|=>|\.<|-?\d+(?:\.\d+)?|[\w$]+|'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"|`[^`]*`|[|&()<>[\]{},:;?!=*.])/uy;
+
+/**
+ * Names of parameters and properties, e.g. `options`, `users[].name` or `address.postcode`.
+ *
+ * @constant
+ * @type {RegExp}
+ */
+const nameRgx = /^[\w$][\w$-]*(?:\[\])?(?:\.[\w$][\w$-]*(?:\[\])?)*$/u;
+
+/**
+ * Operators that make the type following them nullable, non-nullable or variadic.
+ *
+ * @constant
+ * @type {string[]}
+ */
+const modifiers = Object.freeze(['?', '!', '...']);
+
+/**
+ * TypeScript operators applying to the type following them, e.g. `keyof T`.
+ *
+ * @constant
+ * @type {string[]}
+ */
+const typeOperators = Object.freeze(['keyof', 'typeof', 'readonly', 'unique', 'new']);
+
+/**
+ * Tokens that may follow a complete type, `null` being the end of the expression, after which a `?` or `!` is a postfix modifier and not the start of a type.
+ *
+ * @constant
+ * @type {Array<?string>}
+ */
+const typeEnds = Object.freeze([null, ',', '>', ')', ']', '}', '|', '&', '=', ';']);
+
+/**
+ * @typedef {Object} TypedTag
+ * @property {string} type - Type of the tag, with its whitespace normalized and without its optional marker.
+ * @property {?string} name - Name of the parameter or property, `null` for tags without names such as @returns.
+ * @property {boolean} optional - Whether the name is optional (`[name]`) or the type is (`{string=}`).
+ * @property {?string} defaultValue - Default value given by the name, e.g. `10` for `[limit=10]`.
+ * @property {string} desc - Description of the tag, without the dash separating it from the name.
+ */
+
+/**
+ * Splits a type expression into tokens.
+ *
+ * @param {string} text - Type expression.
+ * @returns {?string[]} The tokens, or `null` if the expression holds a character that is not part of any token.
+ */
+const tokenize = (text) => {
+	const tokens = [];
+	tokenRgx.lastIndex = 0;
+
+	while (tokenRgx.lastIndex < text.trimEnd().length) {
+		const match = tokenRgx.exec(text);
+
+		if (!match) {
+			return null;
+		}
+
+		tokens.push(match[1]);
+	}
+
+	return tokens;
+};
+
+const peek = (parser, offset = 0) => parser.tokens[parser.pos + offset];
+
+const accept = (parser, token) => {
+	if (peek(parser) !== token) {
+		return false;
+	}
+
+	parser.pos++;
+	return true;
+};
+
+const expect = (parser, token) => {
+	if (!accept(parser, token)) {
+		throw new Error(`Expected '${token}' but found '${peek(parser) ?? 'the end'}'`);
+	}
+};
+
+const isIdentifier = (token) => /^[\w$]+$/u.test(token ?? '') && !/^-?\d/u.test(token);
+
+const isLiteral = (token) => /^['"`]|^-?\d/u.test(token ?? '');
+
+// Comma-separated types up to the closing token, e.g. the arguments of a generic type
+const parseList = (parser, closer) => {
+	parseUnion(parser);
+
+	while (accept(parser, ',')) {
+		parseUnion(parser);
+	}
+
+	expect(parser, closer);
+};
+
+// Parameters of a function type, either as bare types or named, e.g. 'function(string, number=)' or '(a?: T) => R'
+const parseParams = (parser) => {
+	if (accept(parser, ')')) {
+		return;
+	}
+
+	do {
+		accept(parser, '...');
+
+		if (isIdentifier(peek(parser)) && [':', '?'].includes(peek(parser, 1))) {
+			parser.pos++;
+			accept(parser, '?');
+			expect(parser, ':');
+		}
+
+		parseUnion(parser);
+		accept(parser, '=');
+	} while (accept(parser, ','));
+
+	expect(parser, ')');
+};
+
+// Record types, e.g. '{a: number, b}' or '{ deep?: boolean; [key: string]: unknown }'
+const parseRecord = (parser) => {
+	while (!accept(parser, '}')) {
+		if (accept(parser, '[')) {
+			parser.pos++;
+			expect(parser, ':');
+			parseUnion(parser);
+			expect(parser, ']');
+		} else if (isIdentifier(peek(parser)) || isLiteral(peek(parser))) {
+			parser.pos++;
+			accept(parser, '?');
+		} else {
+			throw new Error(`Unexpected '${peek(parser) ?? 'end'}' in record type`);
+		}
+
+		if (accept(parser, ':')) {
+			parseUnion(parser);
+		}
+
+		if (!accept(parser, ',') && !accept(parser, ';') && peek(parser) !== '}') {
+			throw new Error('Expected a separator in record type');
+		}
+	}
+};
+
+// Parentheses either group a type or hold the parameters of an arrow function type
+const parseParenthesized = (parser) => {
+	const start = parser.pos;
+
+	try {
+		parseParams(parser);
+		expect(parser, '=>');
+		parseUnion(parser);
+	} catch (_error) {
+		parser.pos = start;
+		parseUnion(parser);
+		expect(parser, ')');
+	}
+};
+
+// Array, generic and indexed access types, and postfix nullable or non-nullable modifiers, e.g. 'number?'
+const parsePostfix = (parser) => {
+	const token = peek(parser);
+
+	if (token === '[') {
+		parser.pos++;
+		if (!accept(parser, ']')) parseList(parser, ']');
+	} else if (token === '<' || token === '.<') {
+		parser.pos++;
+		parseList(parser, '>');
+	} else if ((token === '?' || token === '!') && typeEnds.includes(peek(parser, 1) ?? null)) {
+		parser.pos++;
+	} else {
+		return;
+	}
+
+	parsePostfix(parser);
+};
+
+const parsePrimary = (parser) => {
+	const token = peek(parser);
+	parser.pos++;
+
+	if (token === '(') {
+		parseParenthesized(parser);
+	} else if (token === '{') {
+		parseRecord(parser);
+	} else if (token === '[') {
+		if (!accept(parser, ']')) parseList(parser, ']');
+	} else if (token === 'function' && accept(parser, '(')) {
+		parseParams(parser);
+		if (accept(parser, ':')) parsePrefixed(parser);
+	} else if (isIdentifier(token)) {
+		// Namespaced names, e.g. 'NodeJS.Timeout'
+		while (peek(parser) === '.' && isIdentifier(peek(parser, 1))) {
+			accept(parser, '.');
+			parser.pos++;
+		}
+	} else if (token !== '*' && !isLiteral(token)) {
+		throw new Error(`Unexpected '${token ?? 'end'}'`);
+	}
+};
+
+const parsePrefixed = (parser) => {
+	const token = peek(parser);
+
+	// A lone '?' is the unknown type, e.g. 'Array<?>'
+	if (token === '?' && typeEnds.includes(peek(parser, 1) ?? null)) {
+		parser.pos++;
+	} else if (
+		modifiers.includes(token) ||
+		(typeOperators.includes(token) && !typeEnds.includes(peek(parser, 1) ?? null))
+	) {
+		parser.pos++;
+		parsePrefixed(parser);
+	} else {
+		parsePrimary(parser);
+		parsePostfix(parser);
+	}
+};
+
+const parseUnion = (parser) => {
+	// Multi-line unions may start with a pipe, e.g. '| "a" | "b"'
+	accept(parser, '|');
+
+	do {
+		do {
+			parsePrefixed(parser);
+		} while (accept(parser, '&'));
+	} while (accept(parser, '|'));
+};
+
+/**
+ * Parses a JSDoc or TypeScript type expression, e.g. `Object.<string, number>`, `?number`, `(string|null)[]` or
+ * `Promise<User>`. A trailing `=` marks the type as optional.
+ *
+ * @param {string} text - Type expression, without its braces.
+ * @returns {?{type: string, optional: boolean}} The type with its whitespace normalized and without its optional
+ * marker, or `null` if the expression is not a valid type.
+ */
+export const parseType = (text) => {
+	const tokens = tokenize(text);
+
+	if (!tokens || tokens.length === 0) {
+		return null;
+	}
+
+	const parser = { tokens, pos: 0 };
+
+	try {
+		parseUnion(parser);
+	} catch (_error) {
+		return null;
+	}
+
+	const optional = accept(parser, '=');
+
+	if (parser.pos < tokens.length) {
+		return null;
+	}
+
+	return { type: text.trim().replace(/\s*=$/u, '').replace(/\s+/gu, ' '), optional };
+};
+
+/**
+ * Returns the index following the bracket that closes the one the text starts with, skipping quoted strings.
+ *
+ * @param {string} text - Text starting with an opening bracket.
+ * @returns {number} Index following the closing bracket, or `0` if it is never closed.
+ */
+export const findClosingEnd = (text) => {
+	const tokens = text.matchAll(/'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"|[[\]{}()]/gu);
+	let depth = 0;
+
+	for (const { 0: token, index } of tokens) {
+		depth += '[{('.includes(token) ? 1 : 0;
+		depth -= ']})'.includes(token) ? 1 : 0;
+
+		if (depth === 0) {
+			return index + token.length;
+		}
+	}
+
+	return 0;
+};
+
+/**
+ * Parses the name at the start of the given text, e.g. `limit`, `[limit]` or `[limit=10]`.
+ *
+ * @param {string} text - Text following the type of the tag.
+ * @returns {?{name: string, optional: boolean, defaultValue: ?string, length: number}} The name, or `null` if the
+ * text does not start with a valid name.
+ */
+export const parseName = (text) => {
+	if (!text.startsWith('[')) {
+		const [name] = text.match(/^\S*/u);
+		return nameRgx.test(name) ? { name, optional: false, defaultValue: null, length: name.length } : null;
+	}
+
+	// Brackets that are never closed, or hold more than a name and its default value, are not names, e.g. '[limit - Max]'
+	const length = findClosingEnd(text);
+	const match = length > 0 ? text.slice(1, length - 1).match(/^\s*([^=\s]*)\s*(?:=\s*([\s\S]*?))?\s*$/u) : null;
+
+	if (!match || !nameRgx.test(match[1])) {
+		return null;
+	}
+
+	return { name: match[1], optional: true, defaultValue: match[2] || null, length };
+};
+
+/**
+ * Parses a tag in the `{type} name - description` layout, or `{type} description` for tags without names.
+ * The dash separating the name from the description is optional, and so is the description.
+ *
+ * @param {string} text - Text of the tag, as exposed by dox in `tag.string`.
+ * @param {Object} [settings] - Settings of the parsing.
+ * @param {boolean} [settings.named] - Whether the tag has a name, e.g. @param tags but not @returns tags.
+ * @returns {?TypedTag} The parsed tag, or `null` if it is not in that layout or its type is not valid.
+ */
+export const parseTypedTag = (text, { named = true } = {}) => {
+	const trimmed = text.trim();
+	const typeEnd = trimmed.startsWith('{') ? findClosingEnd(trimmed) : 0;
+	const parsedType = typeEnd > 0 ? parseType(trimmed.slice(1, typeEnd - 1)) : null;
+
+	if (!parsedType) {
+		return null;
+	}
+
+	const rest = trimmed.slice(typeEnd).trim();
+	const parsedName = named ? parseName(rest) : { name: null, optional: false, defaultValue: null, length: 0 };
+
+	if (!parsedName) {
+		return null;
+	}
+
+	return {
+		type: parsedType.type,
+		name: parsedName.name,
+		optional: parsedType.optional || parsedName.optional,
+		defaultValue: parsedName.defaultValue,
+		desc: rest
+			.slice(parsedName.length)
+			.trim()
+			.replace(/^-(?:\s+|$)/u, ''),
+	};
+};
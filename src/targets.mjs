@@ -0,0 +1,259 @@
+/**
+ * @module Targets
+ *
+ * @description
+ * This module holds the layout of each documentation generator JsMkDocs outputs for. Every target writes the same
+ * markdown pages, converted to its syntax and given its front matter, along with its configuration files:
+ *
+ * - `mkdocs`: pages in a `docs` folder, and a `mkdocs.yml` file holding the nav
+ * - `docusaurus`: pages in a `docs` folder with front matter, and a `sidebars.js` file
+ * - `vitepress`: pages with front matter, and a `.vitepress/config.mjs` file holding the sidebar
+ * - `markdown`: pages only, browsed from the table of contents of the home page
+ *
+ * Pages are rendered with MkDocs admonitions, e.g. `!!! warning "Deprecated"`, which the other targets convert, and
+ * with `{#anchor}` attributes ending their headings, which Docusaurus and VitePress support as well.
+ *
+ * The main functionalities of this module include:
+ * - Rendering the files of a document for a target (`renderTargetFiles` function)
+ * - Converting MkDocs admonitions (`replaceAdmonitions` function)
+ * - Converting pages for any markdown renderer (`renderPlainMarkdown` function)
+ *
+ * @requires yaml
+ * @requires ./slugger.mjs
+ */
+
+import { Document, isMap, isSeq, parseDocument, stringify } from 'yaml';
+import fs from 'fs';
+import path from 'path';
+import { replaceHeadingIds } from './slugger.mjs';
+
+/**
+ * MkDocs admonitions, e.g. `!!! warning "Deprecated"` followed by indented content.
+ *
+ * @constant
+ * @type {RegExp}
+ */
+const admonitionRgx = /^!!! (\w+)(?: "([^"]*)")?\n((?:(?: {4}.*)?\n)*)/gmu;
+
+/**
+ * Markdown extensions the pages need, added to every mkdocs.yml file.
+ *
+ * @constant
+ * @type {string[]}
+ */
+const requiredExtensions = Object.freeze(['admonition', 'attr_list']);
+
+/**
+ * Comment heading the generated configuration files.
+ *
+ * @constant
+ * @type {string}
+ */
+const generatedComment = '// Generated by JsMkDocs, changes will be overwritten';
+
+/**
+ * @typedef {Object} Admonition
+ * @property {string} type - Type of the admonition, e.g. `warning`.
+ * @property {?string} title - Title of the admonition.
+ * @property {string} content - Markdown content of the admonition, unindented.
+ */
+
+/**
+ * Replaces the MkDocs admonitions of a page.
+ *
+ * @param {string} markdown - Markdown of the page.
+ * @param {function(Admonition): string} render - Renders an admonition, followed by a blank line.
+ * @returns {string} The markdown with its admonitions replaced.
+ */
+const replaceAdmonitions = (markdown, render) =>
+	markdown.replace(admonitionRgx, (_match, type, title, content) =>
+		render({ type, title: title ?? null, content: content.replace(/^ {4}/gmu, '').trim() })
+	);
+
+/**
+ * Converts a page for any markdown renderer: admonitions become blockquotes, and the anchor attributes of headings
+ * become HTML anchors in the headings.
+ *
+ * @param {string} markdown - Markdown of the page.
+ * @returns {string} The converted markdown.
+ */
+const renderPlainMarkdown = (markdown) =>
+	replaceHeadingIds(
+		replaceAdmonitions(
+			markdown,
+			(a) => `> **${a.title ?? a.type}**\n>\n${a.content.replace(/^/gmu, '> ').replace(/ $/gmu, '')}\n\n`
+		),
+		(heading, anchor) => `${heading} <a id="${anchor}"></a>`
+	);
+
+// Nav entries are single-key maps, leaving the quoting of titles and paths to the YAML serializer
+const toYamlNav = (nav) => nav.map((item) => ({ [item.title]: item.children ? toYamlNav(item.children) : item.path }));
+
+// Nav entries and markdown extensions are either names or single-key maps
+const getEntryName = (node) => (isMap(node) && node.items.length === 1 ? String(node.items[0].key) : String(node));
+
+const readMkdocsTemplate = (templatePath) => {
+	const filePath = path.resolve(process.cwd(), templatePath);
+	const doc = parseDocument(fs.readFileSync(filePath, 'utf8'));
+
+	if (doc.errors.length > 0) {
+		throw new Error(`Could not parse mkdocs template '${templatePath}': ${doc.errors[0].message}`);
+	}
+
+	if (!isMap(doc.contents)) {
+		throw new Error(`The mkdocs template '${templatePath}' must be a YAML mapping`);
+	}
+
+	return doc;
+};
+
+// The template keeps its settings, comments and custom tags such as !ENV; the generated nav replaces the entries
+// of the template nav with the same titles while the others, e.g. external links, are kept after it
+const renderMkdocsYml = (title, nav, templatePath) => {
+	const doc = templatePath ? readMkdocsTemplate(templatePath) : new Document({});
+	const titles = new Set(nav.map((item) => item.title));
+	const templateNav = doc.get('nav');
+	const extraItems = isSeq(templateNav) ? templateNav.items.filter((n) => !titles.has(getEntryName(n))) : [];
+	const navNode = doc.createNode(toYamlNav(nav));
+
+	navNode.items.push(...extraItems);
+
+	if (!doc.has('site_name')) {
+		doc.set('site_name', title);
+	}
+
+	// The deprecated key would conflict with the generated nav
+	doc.delete('pages');
+	doc.set('nav', navNode);
+
+	// Deprecated symbols are rendered as admonitions, and the anchors of headings as attributes
+	const extensions = doc.get('markdown_extensions');
+
+	if (isSeq(extensions)) {
+		requiredExtensions
+			.filter((ext) => !extensions.items.some((n) => getEntryName(n) === ext))
+			.forEach((ext) => extensions.add(ext));
+	} else {
+		doc.set('markdown_extensions', doc.createNode([...requiredExtensions]));
+	}
+
+	return doc.toString({ lineWidth: 0 });
+};
+
+const renderFrontMatter = (data) => `---\n${stringify(data, { lineWidth: 0 })}---\n\n`;
+
+// Docs ids are the paths of the pages without their extension
+const toDocusaurusSidebar = (nav) =>
+	nav.map((item) =>
+		item.children
+			? { type: 'category', label: item.title, items: toDocusaurusSidebar(item.children) }
+			: { type: 'doc', id: item.path.replace(/\.md$/u, ''), label: item.title }
+	);
+
+const renderSidebarsJs = (nav) =>
+	`${generatedComment}\n\n/** @type {import('@docusaurus/plugin-content-docs').SidebarsConfig} */\n` +
+	`const sidebars = ${JSON.stringify({ docs: toDocusaurusSidebar(nav) }, null, '\t')};\n\nexport default sidebars;\n`;
+
+// Links are absolute from the site root and leave out the extension, index pages being linked as their folder
+const toVitePressSidebar = (nav) =>
+	nav.map((item) =>
+		item.children
+			? { text: item.title, items: toVitePressSidebar(item.children) }
+			: { text: item.title, link: `/${item.path.replace(/(^|\/)index\.md$/u, '$1').replace(/\.md$/u, '')}` }
+	);
+
+const renderVitePressConfig = (title, nav) => {
+	const config = { title, themeConfig: { sidebar: toVitePressSidebar(nav) } };
+	return `${generatedComment}\n\nexport default ${JSON.stringify(config, null, '\t')};\n`;
+};
+
+/**
+ * @typedef {Object} Target
+ * @property {string} pagesDir - Folder of the pages, relative to the document folder.
+ * @property {function(string, string): string} renderPage - Converts the markdown of a page, given its title.
+ * @property {function(string, import('./writer.mjs').NavItem[], Object): RenderedFile[]} renderConfigFiles - Renders
+ * the configuration files of a document, given its title, its nav and the resolved options.
+ */
+
+/**
+ * Layouts of the documentation generators, keyed by target name.
+ *
+ * @constant
+ * @type {Object.<string, Target>}
+ */
+const targets = Object.freeze({
+	mkdocs: Object.freeze({
+		pagesDir: 'docs',
+		renderPage: (markdown) => markdown,
+		renderConfigFiles: (title, nav, options) => [
+			{ path: 'mkdocs.yml', text: renderMkdocsYml(title, nav, options.mkdocsTemplate) },
+		],
+	}),
+	docusaurus: Object.freeze({
+		pagesDir: 'docs',
+		// Admonition titles use the Docusaurus 3 syntax, and line breaks are closed as MDX expects
+		renderPage: (markdown, title) =>
+			renderFrontMatter({ title }) +
+			replaceAdmonitions(
+				markdown,
+				(a) => `:::${a.type}${a.title ? `[${a.title}]` : ''}\n${a.content}\n:::\n\n`
+			).replace(/<br>/gu, '<br />'),
+		renderConfigFiles: (_title, nav) => [{ path: 'sidebars.js', text: renderSidebarsJs(nav) }],
+	}),
+	vitepress: Object.freeze({
+		pagesDir: '',
+		renderPage: (markdown, title) =>
+			renderFrontMatter({ title }) +
+			replaceAdmonitions(markdown, (a) => `::: ${a.type}${a.title ? ` ${a.title}` : ''}\n${a.content}\n:::\n\n`),
+		renderConfigFiles: (title, nav) => [{ path: '.vitepress/config.mjs', text: renderVitePressConfig(title, nav) }],
+	}),
+	markdown: Object.freeze({
+		pagesDir: '',
+		renderPage: (markdown) => renderPlainMarkdown(markdown),
+		renderConfigFiles: () => [],
+	}),
+});
+
+/**
+ * @typedef {Object} RenderedFile
+ * @property {string} path - Path of the file relative to the document folder.
+ * @property {string} text - Content of the file.
+ */
+
+/**
+ * Renders the files of a document for the target given by the options: its pages, converted to the syntax of the
+ * target, and its configuration files.
+ *
+ * @param {string} title - Title of the document.
+ * @param {import('./writer.mjs').RenderedPage[]} pages - Markdown pages of the document, home page included.
+ * @param {import('./writer.mjs').NavItem[]} nav - Navigation tree of the document.
+ * @param {Object} options - Resolved options.
+ * @param {string} [options.target] - Name of the target, `mkdocs` by default.
+ * @param {string} [options.mkdocsTemplate] - Path of the base mkdocs.yml file, `mkdocs` target only.
+ * @returns {RenderedFile[]} The files of the document.
+ * @throws {Error} If the mkdocs.yml template cannot be read or parsed.
+ */
+const renderTargetFiles = (title, pages, nav, options) => {
+	const target = targets[options.target ?? 'mkdocs'];
+	const getTitles = (items) => items.flatMap((i) => (i.children ? getTitles(i.children) : [[i.path, i.title]]));
+	const titles = new Map(getTitles(nav));
+
+	return [
+		...pages.map((p) => ({
+			path: path.posix.join(target.pagesDir, p.path),
+			text: target.renderPage(p.markdown, titles.get(p.path) ?? title),
+		})),
+		...target.renderConfigFiles(title, nav, options),
+	];
+};
+
+/**
+ * Gives the folder the pages of a document are written to for the target given by the options.
+ *
+ * @param {Object} options - Resolved options.
+ * @param {string} [options.target] - Name of the target, `mkdocs` by default.
+ * @returns {string} Folder of the pages, relative to the document folder.
+ */
+const getPagesDir = (options) => targets[options.target ?? 'mkdocs'].pagesDir;
+
+export { getPagesDir, renderPlainMarkdown, renderTargetFiles, replaceAdmonitions };
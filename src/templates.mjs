@@ -0,0 +1,296 @@
+/**
+ * @module Templates
+ *
+ * @description
+ * This module holds the templates the markdown pages are rendered with. A template is a function receiving the data
+ * gathered for a comment, a section, a page or the index page of a document and returning its markdown. The default
+ * templates render the layout JsMkDocs has always output, and a templates directory may replace any of them with a
+ * `comment`, `section`, `page` or `index` module (`.js`, `.mjs` or `.cjs`) whose default export is the template
+ * function.
+ *
+ * Templates receive the default templates as their second argument, so a house style may reuse or wrap them.
+ *
+ * The main functionalities of this module include:
+ * - Rendering the default layout (`defaultTemplates` constant)
+ * - Loading the templates of a directory (`loadTemplates` function)
+ * - Rendering data with a template (`renderTemplate` function)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Names of the templates, which are also the names of their modules in a templates directory.
+ *
+ * @constant
+ * @type {string[]}
+ */
+const templateNames = Object.freeze(['comment', 'section', 'page', 'index']);
+
+/**
+ * Extensions of template modules, in order of precedence.
+ *
+ * @constant
+ * @type {string[]}
+ */
+const templateExtensions = Object.freeze(['.js', '.mjs', '.cjs']);
+
+/**
+ * @typedef {Object} TableRow
+ * @property {string} name - Name of the parameter or property, e.g. `users[].name`.
+ * @property {string} type - Type as written in the tag or the code.
+ * @property {string} typeMarkdown - Type as inline code, with the documented symbols it names linked.
+ * @property {boolean} optional - Whether the parameter or property is optional.
+ * @property {?string} defaultValue - Default value, from the tag or the code.
+ * @property {string} desc - Description, as markdown.
+ * @property {number} depth - Nesting depth, `0` for top-level names and `1` for properties of those.
+ */
+
+/**
+ * @typedef {Object} CommentData
+ * @property {string} name - Name of the documented symbol.
+ * @property {string} anchor - Anchor of its heading, which links to the symbol point to.
+ * @property {string} heading - Text of its heading, i.e. its name followed by its anchor, e.g. `getUser {#getuser}`.
+ * @property {string} desc - Description, as markdown.
+ * @property {?string} kind - Kind of declaration, e.g. `function` or `typedef`, `null` if the comment does not
+ * document the declaration below it.
+ * @property {?string} signature - Signature of the declaration, e.g. `getUser(id, options?)`.
+ * @property {?{type: string, typeMarkdown: string}} typedef - Type given by the @typedef tag.
+ * @property {boolean} isAsync - Whether the comment has an @async tag.
+ * @property {?string} deprecated - Deprecation message as markdown, empty if none is given, `null` if not deprecated.
+ * @property {?string} since - Version given by the @since tag.
+ * @property {TableRow[]} params - Rows of the @param tags.
+ * @property {TableRow[]} properties - Rows of the @property tags.
+ * @property {TableRow[]} data - Rows of the @data tags.
+ * @property {?{type: string, typeMarkdown: string, desc: string}} returns - Type and description of the @returns tag.
+ * @property {Array<{type: ?string, typeMarkdown: ?string, desc: string}>} throws - Errors of the @throws tags.
+ * @property {string[]} fires - Events of the @fires and @emits tags.
+ * @property {string[]} listens - Events of the @listens tags.
+ * @property {Array<{caption: ?string, code: string, language: string}>} examples - Code of the @example tags.
+ * @property {string[]} see - References of the @see tags, as markdown.
+ * @property {Array<{type: string, markdown: string}>} customTags - Custom tags, as rendered by the tag handlers of
+ * the plugins.
+ * @property {string} file - Path of the file the comment was parsed from.
+ * @property {number} line - Line of the file the comment starts at.
+ */
+
+/**
+ * @typedef {Object} SectionData
+ * @property {string} name - Name of the section.
+ * @property {string} anchor - Anchor of its heading, which the table of contents links to.
+ * @property {string} heading - Text of its heading, i.e. its name followed by its anchor.
+ * @property {CommentData[]} comments - Data of its comments.
+ * @property {string[]} renderedComments - Markdown of its comments, as rendered by the comment template.
+ */
+
+/**
+ * @typedef {Object} PageData
+ * @property {string} title - Title of the page.
+ * @property {?string} desc - Introduction of the page, from its intro file or @pageDesc tag, as markdown.
+ * @property {string} path - Path of the page relative to the markdown folder.
+ * @property {SectionData[]} sections - Data of its sections.
+ * @property {string[]} renderedSections - Markdown of its sections, as rendered by the section template.
+ */
+
+/**
+ * @typedef {Object} TocEntry
+ * @property {string} title - Title of the folder, page or section.
+ * @property {?string} url - Link to the page or section relative to the index page, `null` for folders.
+ * @property {TocEntry[]} children - Pages and folders of a folder, or sections of a page.
+ */
+
+/**
+ * @typedef {Object} IndexData
+ * @property {string} title - Title of the document.
+ * @property {?string} intro - Introduction of the document, from its intro file or @docsIntro tag, as markdown.
+ * @property {TocEntry[]} toc - Table of contents of the document, empty when the output format has its own.
+ */
+
+/**
+ * @typedef {Object} Templates
+ * @property {function(CommentData, Templates): string} comment - Renders a comment.
+ * @property {function(SectionData, Templates): string} section - Renders a section.
+ * @property {function(PageData, Templates): string} page - Renders a page.
+ * @property {function(IndexData, Templates): string} index - Renders the index page of a document.
+ */
+
+// The kind and signature are only shown when the comment documents the declaration it is above
+const renderKind = (comment) => {
+	if (comment.typedef) {
+		return `*typedef* ${comment.typedef.typeMarkdown}\n\n`;
+	}
+
+	const label = [comment.isAsync ? 'async' : '', comment.kind].filter(Boolean).join(' ');
+
+	if (comment.signature) {
+		return `*${label}* \`${comment.signature}\`\n\n`;
+	}
+
+	return label && `*${label}*\n\n`;
+};
+
+// Deprecations are rendered as MkDocs admonitions, enabled in every mkdocs.yml file
+const renderDeprecated = (deprecated) =>
+	deprecated === null ? '' : `!!! warning "Deprecated"\n    ${deprecated || 'This is deprecated.'}\n\n`;
+
+// Pipes, e.g. of union types, would otherwise split the table cell
+const escapeCell = (text) => text.replace(/\|/gu, '\\|');
+
+// The Default column is only added when a row has a default value
+const renderTable = (rows, heading) => {
+	if (rows.length === 0) {
+		return '';
+	}
+
+	const hasDefaults = rows.some((r) => r.defaultValue !== null);
+	const head = hasDefaults
+		? 'Name | Type | Default | Description\n--- | --- | --- | ---'
+		: 'Name | Type | Description\n--- | --- | ---';
+	const lines = rows.map((r) => {
+		const name = `${'&emsp;'.repeat(r.depth)}${r.name}${r.optional ? ' *(optional)*' : ''}`;
+		const defaultCell = r.defaultValue === null ? '' : `\`${escapeCell(r.defaultValue)}\``;
+		const cells = [name, escapeCell(r.typeMarkdown), ...(hasDefaults ? [defaultCell] : []), escapeCell(r.desc)];
+
+		return `${cells.join(' | ')}\n`;
+	});
+
+	return `#### ${heading}\n${head}\n${lines.join('')}\n`;
+};
+
+const renderReturns = (returns) => (returns ? `#### Returns\n${returns.typeMarkdown} ${returns.desc}\n<br><br>\n` : '');
+
+const renderList = (items, heading) =>
+	items.length > 0 ? `#### ${heading}\n${items.map((i) => `- ${i}\n`).join('')}\n` : '';
+
+const renderToc = (toc, depth = 0) =>
+	toc.flatMap((e) => [
+		`${'  '.repeat(depth)}- ${e.url ? `[${e.title}](${e.url})` : e.title}`,
+		...renderToc(e.children, depth + 1),
+	]);
+
+const renderExamples = (examples) => {
+	const blocks = examples.map(
+		(e) => `${e.caption ? `**${e.caption}**\n\n` : ''}\`\`\`${e.language}\n${e.code}\n\`\`\`\n\n`
+	);
+
+	return blocks.length > 0 ? `#### ${blocks.length > 1 ? 'Examples' : 'Example'}\n${blocks.join('')}` : '';
+};
+
+/**
+ * Default templates, rendering a heading per section and per comment, with its anchor, followed by tables of the parameters,
+ * properties and data, then the other tags. Index pages hold the title and introduction of the document followed by
+ * its table of contents.
+ *
+ * @constant
+ * @type {Templates}
+ */
+const defaultTemplates = Object.freeze({
+	comment: (comment) =>
+		[
+			`### ${comment.heading}\n`,
+			renderKind(comment),
+			renderDeprecated(comment.deprecated),
+			comment.since ? `*Since ${comment.since}*\n\n` : '',
+			`${comment.desc}\n<br><br>\n`,
+			renderTable(comment.params, 'Params'),
+			renderTable(comment.properties, 'Properties'),
+			renderTable(comment.data, 'Data'),
+			renderReturns(comment.returns),
+			renderList(
+				comment.throws.map((t) => [t.typeMarkdown, t.desc].filter(Boolean).join(' ')),
+				'Throws'
+			),
+			renderList(
+				comment.fires.map((e) => `\`${e}\``),
+				'Fires'
+			),
+			renderList(
+				comment.listens.map((e) => `\`${e}\``),
+				'Listens'
+			),
+			renderExamples(comment.examples),
+			renderList(comment.see, 'See Also'),
+			...comment.customTags.map((t) => t.markdown),
+		].join(''),
+	section: (section) => `## ${section.heading}\n\n${section.renderedComments.join('')}`,
+	page: (page) => `${page.desc ? `${page.desc}\n\n` : ''}${page.renderedSections.join('')}`,
+	index: (index) =>
+		[`# ${index.title}`, index.intro, index.toc.length > 0 ? `## Contents\n\n${renderToc(index.toc).join('\n')}` : '']
+			.filter(Boolean)
+			.join('\n\n'),
+});
+
+/**
+ * Renders data with one of the given templates.
+ *
+ * @param {Templates} templates - Templates to render with.
+ * @param {string} name - Name of the template, `comment`, `section`, `page` or `index`.
+ * @param {CommentData|SectionData|PageData|IndexData} data - Data to render.
+ * @returns {string} The rendered markdown.
+ * @throws {Error} If the template does not return a string.
+ */
+const renderTemplate = (templates, name, data) => {
+	const markdown = templates[name](data, defaultTemplates);
+
+	if (typeof markdown !== 'string') {
+		throw new Error(`The ${name} template must return a string, not ${typeof markdown}`);
+	}
+
+	return markdown;
+};
+
+/**
+ * Imports the module of a template from a templates directory.
+ *
+ * @param {string} dirPath - Absolute path of the templates directory.
+ * @param {string} name - Name of the template.
+ * @returns {Promise<?function>} The template, or `null` if the directory has no module for it.
+ * @throws {Error} If the module does not export a function.
+ */
+const loadTemplate = async (dirPath, name) => {
+	const filePath = templateExtensions.map((ext) => path.join(dirPath, `${name}${ext}`)).find((fp) => fs.existsSync(fp));
+
+	if (!filePath) {
+		return null;
+	}
+
+	const module = await import(pathToFileURL(filePath).href);
+	const template = module.default ?? module;
+
+	if (typeof template !== 'function') {
+		throw new Error(`Template '${filePath}' must export a function`);
+	}
+
+	return template;
+};
+
+/**
+ * Loads the templates of a directory, the default templates standing in for the ones it leaves out.
+ *
+ * @param {string} templatesPath - Path of the templates directory, relative to the working directory, or an empty
+ * string for the default templates.
+ * @returns {Promise<Templates>} The templates to render with.
+ * @throws {Error} If the directory does not exist, holds no template, or one of its templates is not a function.
+ */
+const loadTemplates = async (templatesPath) => {
+	if (!templatesPath) {
+		return defaultTemplates;
+	}
+
+	const dirPath = path.resolve(process.cwd(), templatesPath);
+
+	if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+		throw new Error(`Templates directory '${dirPath}' does not exist`);
+	}
+
+	const templates = await Promise.all(templateNames.map((n) => loadTemplate(dirPath, n)));
+
+	if (templates.every((t) => t === null)) {
+		throw new Error(`Templates directory '${dirPath}' holds no ${templateNames.join(', ')} template`);
+	}
+
+	return Object.freeze(Object.fromEntries(templateNames.map((n, i) => [n, templates[i] ?? defaultTemplates[n]])));
+};
+
+export { defaultTemplates, loadTemplates, renderTemplate };
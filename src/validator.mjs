@@ -0,0 +1,151 @@
+/**
+ * Checks each JsMkDocs comment against the tag formats the markdown
+ * pages are rendered from and returns the problems found. Comments
+ * whose @docs or @desc tags are malformed cannot be rendered at all,
+ * while malformed @param, @property, @data or @returns tags are only
+ * left out. Parameters of the documented declaration without a @param
+ * tag are reported as well.
+ */
+
+import { getNameAndDesc, getTagName } from './markdown.mjs';
+import { logWarn } from './logger.mjs';
+import { parseTypedTag } from './tags.mjs';
+import { parseWeight } from './builder.mjs';
+import path from 'path';
+
+const docsFormat = "'document [// page] // section'";
+const descFormat = "'name - description'";
+const namedTagFormat = "'{type} name - description'";
+const returnsFormat = "'{type} description'";
+
+// A document name and a section name at the very least
+const minPathNames = 2;
+
+const validateDocsTag = (comment) => {
+	const [docTag] = comment.tags.filter((t) => t.type === 'docs');
+	const pathNames = docTag.string.split(/\s*\/{2}\s*/u);
+
+	if (pathNames.length < minPathNames || pathNames.some((pn) => pn.trim() === '')) {
+		return [{ reason: `@docs '${docTag.string}' is not in the format ${docsFormat}`, isFatal: true }];
+	}
+
+	return [];
+};
+
+const validateDescTag = (comment) => {
+	const descTags = comment.tags.filter((t) => t.type === 'desc');
+
+	if (descTags.length === 0) {
+		return [{ reason: '@desc tag is missing', isFatal: true }];
+	}
+
+	if (!getNameAndDesc(comment)) {
+		const reason = `@desc '${descTags[0].string}' is not in the format ${descFormat} nor above a named declaration`;
+		return [{ reason, isFatal: true }];
+	}
+
+	return [];
+};
+
+// Destructured parameters have no name to document them by, and documenting one of its properties,
+// e.g. 'options.deep', documents the parameter as well
+const validateDeclaredParams = (comment) => {
+	const nameAndDesc = getNameAndDesc(comment);
+
+	if (!nameAndDesc?.isDeclared) {
+		return [];
+	}
+
+	const documented = new Set(
+		comment.tags.filter((t) => t.type === 'param').map((t) => getTagName(t).split(/[.[]/u)[0])
+	);
+
+	return comment.declaration.params
+		.filter((p) => /^[\w$]+$/u.test(p.name) && !documented.has(p.name))
+		.map((p) => ({ reason: `param '${p.name}' of ${nameAndDesc.name} has no @param tag`, isFatal: false }));
+};
+
+const validateTableTags = (comment, tagType) =>
+	comment.tags
+		.filter((t) => t.type === tagType && !parseTypedTag(t.string))
+		.map((t) => ({
+			reason: `@${tagType} '${t.string}' is not in the format ${namedTagFormat} or has an invalid type and is skipped`,
+			isFatal: false,
+		}));
+
+const validateReturnsTag = (comment) => {
+	const returnsTags = comment.tags.filter((t) => t.type === 'returns');
+	const problems = returnsTags
+		.filter((t) => !parseTypedTag(t.string, { named: false }))
+		.map((t) => ({
+			reason: `@returns '${t.string}' is not in the format ${returnsFormat} or has an invalid type and is skipped`,
+			isFatal: false,
+		}));
+
+	if (returnsTags.length > 1) {
+		problems.push({ reason: 'more than one @returns tag, only the first one is rendered', isFatal: false });
+	}
+
+	return problems;
+};
+
+// Pages and sections given no valid weight are ordered alphabetically
+const validateWeightTags = (comment) =>
+	comment.tags
+		.filter((t) => ['order', 'sectionOrder'].includes(t.type) && parseWeight(t) === null)
+		.map((t) => ({ reason: `@${t.type} '${t.string}' is not a number and is ignored`, isFatal: false }));
+
+/**
+ * @typedef {Object} CommentProblem
+ * @property {Object} comment - The malformed comment.
+ * @property {string} file - Path of the file the comment was parsed from.
+ * @property {number} line - Line of the file the comment starts at.
+ * @property {string} reason - What is wrong with the comment.
+ * @property {boolean} isFatal - Whether the comment cannot be rendered and is left out of the docs.
+ */
+
+/**
+ * Validates the tags of every comment.
+ *
+ * @param {Object[]} comments - Comments as returned by `getJsMkDocsComments`.
+ * @returns {CommentProblem[]} Problems found, in the order of the comments.
+ */
+export const validateComments = (comments) =>
+	comments.flatMap((c) =>
+		[
+			...validateDocsTag(c),
+			...validateDescTag(c),
+			...validateTableTags(c, 'param'),
+			...validateTableTags(c, 'property'),
+			...validateTableTags(c, 'data'),
+			...validateReturnsTag(c),
+			...validateDeclaredParams(c),
+			...validateWeightTags(c),
+		].map((p) => ({ comment: c, file: c.file, line: c.line, ...p }))
+	);
+
+/**
+ * Leaves out the comments that cannot be rendered because of their problems.
+ *
+ * @param {Object[]} comments - Comments as returned by `getJsMkDocsComments`.
+ * @param {CommentProblem[]} problems - Problems found in those comments.
+ * @returns {Object[]} Comments that can be rendered.
+ */
+export const getRenderableComments = (comments, problems) => {
+	const fatalComments = new Set(problems.filter((p) => p.isFatal).map((p) => p.comment));
+	return comments.filter((c) => !fatalComments.has(c));
+};
+
+/**
+ * Logs a warning for each problem, pointing at the file and line of the malformed comment.
+ *
+ * @param {CommentProblem[]} problems - Problems found in the comments.
+ */
+export const reportProblems = (problems) => {
+	problems.forEach(({ file, line, reason }) => logWarn(`${path.relative(process.cwd(), file)}:${line} ${reason}`));
+
+	if (problems.length > 0) {
+		const commentsCount = new Set(problems.map((p) => p.comment)).size;
+		logWarn(`${commentsCount} malformed comment(s) found`);
+	}
+};
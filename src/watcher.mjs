@@ -0,0 +1,346 @@
+/**
+ * @module Watcher
+ *
+ * @description
+ * This module keeps the generated documentation up to date while the sources are edited. It keeps the comments
+ * of each source file in memory so a change only re-parses the file that changed, only renders the documents that
+ * file contributes to, and only rewrites the pages and mkdocs.yml files whose content actually changed.
+ *
+ * The directories traversed under the sources are watched rather than the files themselves, so files replaced on
+ * save by editors, as well as new files, are picked up, even in directories that hold no source file yet. Paths that
+ * are not known source files trigger a new traversal of the sources, which also covers changes to ignore files. The
+ * intros directory is watched as well, a change to an intro file rebuilding the document of its folder.
+ *
+ * @requires ./parser.mjs
+ * @requires ./validator.mjs
+ * @requires ./builder.mjs
+ * @requires ./writer.mjs
+ * @requires ./plugins.mjs
+ */
+
+import { generateDocs, removeDocs, renderDocs, updateDocs } from './writer.mjs';
+import { getDocsFolders, getDocsName, getDocsTrees } from './builder.mjs';
+import { getRenderableComments, reportProblems, validateComments } from './validator.mjs';
+import { loadExtensions, transformComments, transformDocsTrees } from './plugins.mjs';
+import { logError, logInfo, logSuccess } from './logger.mjs';
+import { parseFile, traverseSources } from './parser.mjs';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Milliseconds to wait for further file system events before regenerating, as a single save often emits several.
+ *
+ * @constant
+ * @type {number}
+ */
+const debounceDelay = 100;
+
+/**
+ * @typedef {Object} WatchState
+ * @property {Object} options - Resolved options.
+ * @property {import('./plugins.mjs').Extensions} extensions - Templates and plugins to render the pages with.
+ * @property {boolean} write - Whether documents are written to the output directory or only kept in memory.
+ * @property {function(Map<string, import('./writer.mjs').RenderedDocs>): void} onUpdate - Called after each rebuild.
+ * @property {Map<string, Object[]>} commentsByFile - Renderable comments of each source file, in traversal order.
+ * @property {string[]} sourceDirs - Directories traversed under the sources in the last traversal.
+ * @property {Map<string, import('./writer.mjs').RenderedDocs>} rendered - Last rendering of each document.
+ * @property {string} symbolsKey - Symbols indexed for the last rendering, serialized to tell when they change.
+ * @property {Map<string, fs.FSWatcher>} watchers - File system watcher of each watched directory.
+ * @property {Set<string>} pending - Paths changed since the last regeneration.
+ * @property {?NodeJS.Timeout} timer - Debounce timer of the next regeneration.
+ * @property {Promise<void>} queue - Regenerations in progress, run one after the other.
+ */
+
+/**
+ * @typedef {Object} Watch
+ * @property {function(): void} close - Stops watching the sources.
+ */
+
+/**
+ * Parses a source file, lets the plugins transform its comments, reports the malformed ones and returns the ones
+ * that can be rendered.
+ *
+ * @param {WatchState} state - Watch state.
+ * @param {string} filePath - Absolute path of the source file.
+ * @returns {Object[]} Renderable comments of the file.
+ */
+const loadFile = (state, filePath) => {
+	const comments = transformComments(state.extensions.plugins, parseFile(filePath), state.options);
+	const problems = validateComments(comments);
+
+	reportProblems(problems);
+	return getRenderableComments(comments, problems);
+};
+
+// Symbols linked from the documents, which must all be rendered again when one of them moves
+const getSymbolsKey = (docsTrees) => JSON.stringify(docsTrees.map((dt) => [...dt.symbols]));
+
+/**
+ * Rebuilds the given documents from the comments in memory and writes the files that changed, if writing.
+ * Documents left without comments are removed, and documents given another folder, e.g. when a document whose name
+ * gives the same folder name is added or removed, are moved to it. Every document is rebuilt when the symbols they
+ * document change, as they may be linked from any other. Failures are logged so watching goes on.
+ *
+ * @param {WatchState} state - Watch state.
+ * @param {Set<string>} docsNames - Names of the documents to rebuild.
+ * @returns {Promise<void>} Resolves once every document is settled.
+ */
+const regenerate = async (state, docsNames) => {
+	const comments = [...state.commentsByFile.values()].flat();
+	const folders = getDocsFolders(comments.map(getDocsName));
+	const allDocsTrees = transformDocsTrees(state.extensions.plugins, getDocsTrees(comments, folders), state.options);
+	const symbolsKey = getSymbolsKey(allDocsTrees);
+	const rebuilt = new Set([
+		...docsNames,
+		...[...state.rendered.values()]
+			.filter((r) => folders.has(r.docsName) && folders.get(r.docsName) !== r.folder)
+			.map((r) => r.docsName),
+		...(symbolsKey === state.symbolsKey ? [] : allDocsTrees.map((dt) => dt.docsName)),
+	]);
+	const docsTrees = allDocsTrees.filter((dt) => rebuilt.has(dt.docsName));
+
+	state.symbolsKey = symbolsKey;
+
+	// Folders that are left are emptied before the others are written, as another document may take them
+	const left = [...rebuilt]
+		.map((docsName) => state.rendered.get(docsName))
+		.filter((r) => r && r.folder !== docsTrees.find((dt) => dt.docsName === r.docsName)?.folder);
+
+	left.forEach((r) => state.rendered.delete(r.docsName));
+
+	const removals = state.write ? await Promise.allSettled(left.map((r) => removeDocs(r, state.options))) : [];
+	const results = await Promise.allSettled(
+		docsTrees.map(async (docsTree) => {
+			const { docsName } = docsTree;
+			const rendered = renderDocs(docsTree, state.options, state.extensions);
+
+			if (state.write) {
+				const changes = await updateDocs(rendered, state.options);
+				logSuccess(`"${docsName}" docs ${changes.length > 0 ? `updated (${changes.length} file(s))` : 'up to date'}`);
+			} else {
+				logSuccess(`"${docsName}" docs rebuilt`);
+			}
+
+			state.rendered.set(docsName, rendered);
+		})
+	);
+
+	[...removals, ...results].filter((r) => r.status === 'rejected').forEach((r) => logError(r.reason.message));
+	state.onUpdate(state.rendered);
+};
+
+/**
+ * Traverses the sources again, loading new files and forgetting the ones no longer matched.
+ *
+ * @param {WatchState} state - Watch state.
+ * @param {Set<string>} affected - Names of the documents affected so far, completed in place.
+ */
+const rediscover = (state, affected) => {
+	const { filePaths, dirPaths } = traverseSources(state.options);
+	const commentsByFile = new Map(filePaths.map((fp) => [fp, state.commentsByFile.get(fp) ?? loadFile(state, fp)]));
+
+	[...state.commentsByFile.keys(), ...filePaths]
+		.filter((fp) => state.commentsByFile.has(fp) !== commentsByFile.has(fp))
+		.forEach((fp) =>
+			(state.commentsByFile.get(fp) ?? commentsByFile.get(fp)).forEach((c) => affected.add(getDocsName(c)))
+		);
+
+	state.commentsByFile = commentsByFile;
+	state.sourceDirs = dirPaths;
+};
+
+// The intros directory and its subdirectories, none if there is no intros directory
+const getIntroDirs = (dirPath) => {
+	if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+		return [];
+	}
+
+	const subDirs = fs
+		.readdirSync(dirPath, { withFileTypes: true })
+		.filter((entry) => entry.isDirectory())
+		.flatMap((entry) => getIntroDirs(path.join(dirPath, entry.name)));
+
+	return [dirPath, ...subDirs];
+};
+
+// Folder of the document an intro file or folder belongs to, i.e. the first segment of its path in the intros directory
+const getIntroFolder = (state, filePath) => {
+	if (!state.options.intros) {
+		return null;
+	}
+
+	const relPath = path.relative(path.resolve(process.cwd(), state.options.intros), filePath);
+
+	return relPath === '' || relPath.startsWith('..') || path.isAbsolute(relPath) ? null : relPath.split(path.sep)[0];
+};
+
+/**
+ * Watches the directories traversed under the sources, those of the sources given as files and the intros directory,
+ * and stops watching those no longer needed.
+ *
+ * @param {WatchState} state - Watch state.
+ */
+const watchDirs = (state) => {
+	const dirs = new Set([
+		...state.sourceDirs,
+		...[...state.commentsByFile.keys()].map((fp) => path.dirname(fp)),
+		...(state.options.intros ? getIntroDirs(path.resolve(process.cwd(), state.options.intros)) : []),
+	]);
+
+	[...state.watchers]
+		.filter(([dir]) => !dirs.has(dir))
+		.forEach(([dir, watcher]) => {
+			watcher.close();
+			state.watchers.delete(dir);
+		});
+
+	[...dirs]
+		.filter((dir) => !state.watchers.has(dir))
+		.forEach((dir) => {
+			const watcher = fs.watch(dir, (_eventType, fileName) => {
+				if (fileName) scheduleChange(state, path.join(dir, fileName));
+			});
+
+			state.watchers.set(dir, watcher);
+		});
+};
+
+/**
+ * Re-parses the changed files and regenerates the documents they contributed to or now contribute to, as well as the
+ * documents whose intro files changed.
+ *
+ * @param {WatchState} state - Watch state.
+ * @param {string[]} filePaths - Absolute paths of the changed files.
+ * @returns {Promise<void>} Resolves once the documentation is up to date.
+ */
+const processChanges = async (state, filePaths) => {
+	const affected = new Set();
+	const introFolders = new Set();
+	let mustRediscover = false;
+
+	filePaths.forEach((fp) => {
+		const introFolder = getIntroFolder(state, fp);
+
+		if (introFolder !== null) {
+			introFolders.add(introFolder);
+			return;
+		}
+
+		if (!state.commentsByFile.has(fp)) {
+			mustRediscover = true;
+			return;
+		}
+
+		state.commentsByFile.get(fp).forEach((c) => affected.add(getDocsName(c)));
+
+		if (fs.existsSync(fp)) {
+			const comments = loadFile(state, fp);
+
+			comments.forEach((c) => affected.add(getDocsName(c)));
+			state.commentsByFile.set(fp, comments);
+		} else {
+			state.commentsByFile.delete(fp);
+		}
+	});
+
+	if (mustRediscover) {
+		rediscover(state, affected);
+	}
+
+	// Folders may have been added to the intros directory as well
+	if (mustRediscover || introFolders.size > 0) {
+		watchDirs(state);
+	}
+
+	if (introFolders.size > 0) {
+		getDocsFolders([...state.commentsByFile.values()].flat().map(getDocsName)).forEach((folder, docsName) => {
+			if (introFolders.has(folder)) affected.add(docsName);
+		});
+	}
+
+	if (affected.size > 0 && !state.options.check) {
+		logInfo(`Regenerating ${[...affected].map((dn) => `"${dn}"`).join(', ')}`);
+		await regenerate(state, affected);
+	}
+};
+
+/**
+ * Queues a changed path for the next regeneration, which runs once file system events settle down.
+ *
+ * @param {WatchState} state - Watch state.
+ * @param {string} filePath - Absolute path of the changed file.
+ */
+const scheduleChange = (state, filePath) => {
+	state.pending.add(filePath);
+	clearTimeout(state.timer);
+
+	state.timer = setTimeout(() => {
+		const filePaths = [...state.pending];
+
+		state.pending.clear();
+		state.queue = state.queue.then(() => processChanges(state, filePaths)).catch((error) => logError(error.message));
+	}, debounceDelay);
+};
+
+/**
+ * Generates the documentation once, then keeps it up to date as the sources change.
+ *
+ * @param {Object} options - Resolved options.
+ * @param {Object} [settings] - Settings of the watch.
+ * @param {boolean} [settings.write] - Whether documents are written to the output directory or only kept in memory.
+ * @param {function(Map<string, import('./writer.mjs').RenderedDocs>): void} [settings.onUpdate] - Called with the
+ * rendering of every document each time documents are rebuilt, starting with the first build.
+ * @returns {Promise<Watch>} Resolves once the documentation is generated and the sources are watched.
+ * @throws {Error} If the templates or plugins cannot be loaded, or a plugin fails on the first build.
+ */
+export const watchDocs = async (options, { write = true, onUpdate = () => {} } = {}) => {
+	const state = {
+		options,
+		extensions: await loadExtensions(options),
+		write,
+		onUpdate,
+		commentsByFile: new Map(),
+		sourceDirs: [],
+		rendered: new Map(),
+		symbolsKey: '',
+		watchers: new Map(),
+		pending: new Set(),
+		timer: null,
+		queue: Promise.resolve(),
+	};
+
+	const { filePaths, dirPaths } = traverseSources(options);
+
+	filePaths.forEach((fp) => state.commentsByFile.set(fp, loadFile(state, fp)));
+	state.sourceDirs = dirPaths;
+
+	const comments = [...state.commentsByFile.values()].flat();
+
+	if (!write) {
+		await regenerate(state, new Set(comments.map(getDocsName)));
+	} else if (!options.check) {
+		try {
+			const docsTrees = transformDocsTrees(state.extensions.plugins, getDocsTrees(comments), options);
+			state.symbolsKey = getSymbolsKey(docsTrees);
+
+			const documents = await generateDocs(docsTrees, options, state.extensions);
+
+			documents.forEach((d) => state.rendered.set(d.docsName, d));
+			onUpdate(state.rendered);
+		} catch (error) {
+			// Documents that failed are brought up to date on their next change
+			logError(error.message);
+		}
+	}
+
+	watchDirs(state);
+	logInfo('Watching for changes...');
+
+	return {
+		close: () => {
+			clearTimeout(state.timer);
+			state.watchers.forEach((w) => w.close());
+			state.watchers.clear();
+		},
+	};
+};
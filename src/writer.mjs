@@ -0,0 +1,409 @@
+// noinspection JSUnresolvedReference
+
+/**
+ * Traverses each 'docsTree' object and renders markdown pages for
+ * each level with comments as well as titles and filenames for the
+ * nav. Rendered documents are then written to disk in the layout of
+ * the output target, e.g. a docs folder and a mkdocs.yml file. A
+ * manifest of the files generated in each document folder lets
+ * unchanged files and files added by hand be left alone.
+ */
+
+import { defaultExtensions, transformMarkdown } from './plugins.mjs';
+import { getDocsTitle, getIndexString, getMarkdownString, getPageAnchors, getPageTitle } from './markdown.mjs';
+import { getPagesDir, renderTargetFiles } from './targets.mjs';
+import { hashText, manifestName, readManifest, writeManifest } from './manifest.mjs';
+import { logError, logInfo, logSuccess, logWarn } from './logger.mjs';
+import { renderSingleMarkdown, renderStandaloneHtml } from './standalone.mjs';
+
+import clic from 'cli-color';
+import fs from 'fs';
+import { getDocsModel } from './model.mjs';
+import path from 'path';
+import { slugifyFilename } from './slugger.mjs';
+
+// Markdown files of an intro folder, as paths relative to it using forward slashes
+const listIntroFiles = (dirPath, relPath = '') =>
+	fs.readdirSync(path.join(dirPath, relPath), { withFileTypes: true }).flatMap((entry) => {
+		const entryPath = path.posix.join(relPath, entry.name);
+
+		if (entry.isDirectory()) {
+			return listIntroFiles(dirPath, entryPath);
+		}
+
+		return entry.name.endsWith('.md') ? [entryPath] : [];
+	});
+
+// Intro files are the markdown files of the document folder in the intros directory, named and laid out like the
+// folder of the document: 'index.md' introduces the document and 'users/helpers.md' the page of that path
+const readIntros = (folder, introsPath) => {
+	if (!introsPath) {
+		return new Map();
+	}
+
+	const rootPath = path.resolve(process.cwd(), introsPath);
+	const dirPath = path.join(rootPath, folder);
+
+	if (!fs.existsSync(rootPath) || !fs.statSync(rootPath).isDirectory()) {
+		throw new Error(`Intros directory '${rootPath}' does not exist`);
+	}
+
+	if (!fs.existsSync(dirPath)) {
+		return new Map();
+	}
+
+	return new Map(listIntroFiles(dirPath).map((fp) => [fp, fs.readFileSync(path.join(dirPath, fp), 'utf8').trim()]));
+};
+
+// Links to other symbols are resolved from the page they are rendered in
+const renderPages = (docsTree, links, extensions, intros, pages) => {
+	if (docsTree.subPages) {
+		const children = docsTree.subPages.map((sp) => renderPages(sp, links, extensions, intros, pages));
+		return { title: getPageTitle(docsTree), children };
+	}
+
+	const markdown = getMarkdownString(docsTree, { ...links, pagePath: docsTree.path }, extensions, intros);
+
+	pages.push({ path: docsTree.path, markdown });
+	return { title: getPageTitle(docsTree), path: docsTree.path };
+};
+
+// Pages link to their sections, folders only list their pages
+const getToc = (docsTree) =>
+	docsTree.subPages.map((sp) => {
+		if (sp.subPages) {
+			return { title: getPageTitle(sp), url: null, children: getToc(sp) };
+		}
+
+		const url = encodeURI(sp.path);
+		const children = getPageAnchors(sp).map((s) => ({ title: s.name, url: `${url}#${s.anchor}`, children: [] }));
+
+		return { title: getPageTitle(sp), url, children };
+	});
+
+const reportUnusedIntros = (docsName, intros, pages) => {
+	const pagePaths = new Set(pages.map((p) => p.path));
+
+	[...intros.keys()]
+		.filter((introPath) => !pagePaths.has(introPath))
+		.forEach((introPath) => logWarn(`"${docsName}" intro file '${introPath}' does not match any page`));
+};
+
+const reportFolderCollision = (docsName, folder) => {
+	const baseFolder = slugifyFilename(docsName);
+
+	if (folder !== baseFolder) {
+		logWarn(`"${docsName}" would overwrite folder '${baseFolder}' and is written to '${folder}' instead`);
+	}
+};
+
+const reportPathCollisions = (docsName, collisions) =>
+	collisions.forEach((c) =>
+		logWarn(`"${docsName}" '${c.pageName}' would overwrite '${c.path}' and is written to '${c.uniquePath}' instead`)
+	);
+
+const reportUnresolvedLinks = (unresolved) =>
+	unresolved.forEach(({ comment, target }) =>
+		logWarn(`${path.relative(process.cwd(), comment.file)}:${comment.line} link to '${target}' could not be resolved`)
+	);
+
+// Formats other than markdown write a single file per document. The pages are rendered all the same, as they are
+// the ones previewed
+const renderFiles = (title, pages, nav, options, model) => {
+	if (model) {
+		return [{ path: 'docs.json', text: `${JSON.stringify(model, null, '\t')}\n` }];
+	}
+
+	if (options.format === 'single') {
+		return [{ path: 'docs.md', text: renderSingleMarkdown(pages, nav) }];
+	}
+
+	if (options.format === 'html') {
+		return [{ path: 'docs.html', text: renderStandaloneHtml(title, pages, nav) }];
+	}
+
+	return renderTargetFiles(title, pages, nav, options);
+};
+
+/**
+ * @typedef {Object} RenderedPage
+ * @property {string} path - Path of the page relative to the markdown folder.
+ * @property {string} markdown - Markdown content of the page.
+ */
+
+/**
+ * @typedef {Object} NavItem
+ * @property {string} title - Title of the page or folder.
+ * @property {string} [path] - Path of the page relative to the markdown folder, pages only.
+ * @property {NavItem[]} [children] - Nested pages and folders, folders only.
+ */
+
+/**
+ * @typedef {Object} RenderedDocs
+ * @property {string} docsName - Name of the document.
+ * @property {string} folder - Folder of the document in the output directory, e.g. `c-api` for `C++ API`.
+ * @property {string} title - Title of the document, given by a @docsTitle tag or its name.
+ * @property {RenderedPage[]} pages - Markdown pages of the document, home page included.
+ * @property {NavItem[]} nav - Navigation tree of the document, as written to mkdocs.yml or the sidebar of the target.
+ * @property {string} target - Name of the output target, e.g. `mkdocs` or `docusaurus`.
+ * @property {import('./targets.mjs').RenderedFile[]} files - Files written to the document folder for the target.
+ * @property {?string} mkdocsYml - Content of the document's mkdocs.yml file, `null` for other targets.
+ * @property {?import('./model.mjs').DocsModel} model - Documentation model written with the `json` format, `null`
+ * with the `markdown` format.
+ */
+
+/**
+ * Renders a docs tree into its markdown pages, navigation and the files of the output target without writing to the
+ * disk. The index page holds the introduction of the document and its table of contents, and pages start with their
+ * introduction. When a mkdocs.yml template is given, the generated nav is merged into it and its other settings are
+ * kept. Links to symbols that are not documented in any document, documents and pages renamed because their
+ * folder or path was taken, and intro files matching no page are reported as warnings.
+ *
+ * @param {Object} docsTree - Docs tree as returned by `getDocsTrees`.
+ * @param {Object} [options] - Resolved options.
+ * @param {string} [options.format] - `json`, `single` or `html` to output the documentation model, a single markdown
+ * file or a standalone HTML file instead of the files of the target.
+ * @param {string} [options.target] - Documentation generator to output for, `mkdocs` by default.
+ * @param {string} [options.mkdocsTemplate] - Path of the base mkdocs.yml file, empty to generate it from scratch.
+ * @param {string} [options.intros] - Path of the directory of intro files, empty if there is none.
+ * @param {import('./plugins.mjs').Extensions} [extensions] - Templates to render the pages with, and plugins
+ * rendering custom tags and transforming the markdown of the pages.
+ * @returns {RenderedDocs} The rendered document.
+ * @throws {Error} If the mkdocs.yml template or the intro files cannot be read, or a template or plugin fails.
+ */
+export const renderDocs = (docsTree, options = {}, extensions = defaultExtensions) => {
+	const title = getDocsTitle(docsTree);
+	const folder = docsTree.folder ?? slugifyFilename(docsTree.docsName);
+	const intros = readIntros(folder, options.intros);
+	// Single documents have a table of contents of their own, and only link to their own symbols
+	const isSingle = ['single', 'html'].includes(options.format);
+	const symbols = isSingle ? new Map([...docsTree.symbols].filter(([, s]) => s.folder === folder)) : docsTree.symbols;
+	const links = { symbols, folder, pagesDir: getPagesDir(options), unresolved: [] };
+	const toc = isSingle ? [] : getToc(docsTree);
+	const pages = [{ path: 'index.md', markdown: getIndexString(docsTree, links, extensions, { intros, toc }) }];
+	const nav = [
+		{ title: 'Home', path: 'index.md' },
+		...docsTree.subPages.map((sp) => renderPages(sp, links, extensions, intros, pages)),
+	];
+
+	reportFolderCollision(docsTree.docsName, folder);
+	reportPathCollisions(docsTree.docsName, docsTree.pathCollisions ?? []);
+	reportUnusedIntros(docsTree.docsName, intros, pages);
+	reportUnresolvedLinks(links.unresolved);
+
+	// Plugins post-process every page, the home page included, before it is converted for the target
+	const transformedPages = pages.map((p) => ({
+		...p,
+		markdown: transformMarkdown(extensions.plugins, p.markdown, { docsName: docsTree.docsName, path: p.path, options }),
+	}));
+	const target = options.target ?? 'mkdocs';
+	const model = options.format === 'json' ? getDocsModel(docsTree, extensions.plugins, intros) : null;
+
+	const files = renderFiles(title, transformedPages, nav, options, model);
+	const mkdocsYml = files.find((f) => target === 'mkdocs' && f.path === 'mkdocs.yml')?.text ?? null;
+
+	return { docsName: docsTree.docsName, folder, title, pages: transformedPages, nav, target, files, mkdocsYml, model };
+};
+
+const writeFile = async (filePath, text) => {
+	await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+	await fs.promises.writeFile(filePath, text, 'utf8');
+	logInfo(filePath);
+};
+
+const removeFile = async (filePath) => {
+	await fs.promises.rm(filePath, { force: true });
+	logInfo(`${filePath} (removed)`);
+};
+
+// Files of a rendered document keyed by their path relative to the document folder
+const getDocsFiles = (rendered) => new Map(rendered.files.map((f) => [f.path, f.text]));
+
+// Writes files, or removes them when their text is null, and returns the files that failed
+// instead of stopping at the first failure
+const applyFileChanges = async (docsName, docsPath, changes) => {
+	const results = await Promise.allSettled(
+		changes.map((c) => (c.text === null ? removeFile : writeFile)(path.join(docsPath, c.path), c.text))
+	);
+
+	return results
+		.map((r, i) => (r.status === 'rejected' ? { docsName, path: changes[i].path, error: r.reason } : null))
+		.filter(Boolean);
+};
+
+// Directories of the given paths that are left empty are removed, as well as their parents up to the root
+// directory, which is kept. Directories are best-effort cleanup: those that cannot be removed are left as they are
+const removeEmptyDirs = async (dirPaths, rootPath) => {
+	const getDirs = (dirPath) =>
+		dirPath.startsWith(`${rootPath}${path.sep}`) ? [dirPath, ...getDirs(path.dirname(dirPath))] : [];
+
+	// Deeper directories come first so that their parents are empty by the time they are checked
+	const dirs = [...new Set(dirPaths.flatMap(getDirs))].sort((a, b) => b.length - a.length);
+
+	await dirs.reduce(
+		(previous, dir) =>
+			previous.then(async () => {
+				const entries = await fs.promises.readdir(dir).catch(() => null);
+
+				if (entries?.length === 0) {
+					await fs.promises.rmdir(dir).catch(() => null);
+				}
+			}),
+		Promise.resolve()
+	);
+};
+
+// Brings a document folder up to date with the given files, keyed by their path relative to it, using the manifest
+// of the files generated in it: files whose content hash changed or that are missing are written, generated files
+// that are no longer given are removed, and files that were not generated are left alone. Returns the changes that
+// were applied and the files that failed
+const syncDocsFolder = async (docsName, docsPath, files) => {
+	const manifest = await readManifest(docsPath);
+	const hashes = new Map([...files].map(([filePath, text]) => [filePath, hashText(text)]));
+	const changes = [
+		...[...files]
+			.filter(
+				([filePath]) => manifest.get(filePath) !== hashes.get(filePath) || !fs.existsSync(path.join(docsPath, filePath))
+			)
+			.map(([filePath, text]) => ({ path: filePath, text })),
+		...[...manifest.keys()]
+			.filter((filePath) => !files.has(filePath))
+			.map((filePath) => ({ path: filePath, text: null })),
+	];
+	const failures = await applyFileChanges(docsName, docsPath, changes);
+	const failedPaths = new Set(failures.map((f) => f.path));
+
+	// Files that failed keep their previous hash, or none, so that they are changed again on the next write
+	failedPaths.forEach((filePath) => {
+		if (manifest.has(filePath)) {
+			hashes.set(filePath, manifest.get(filePath));
+		} else {
+			hashes.delete(filePath);
+		}
+	});
+
+	await removeEmptyDirs(
+		changes
+			.filter((c) => c.text === null && !failedPaths.has(c.path))
+			.map((c) => path.dirname(path.join(docsPath, c.path))),
+		docsPath
+	);
+
+	try {
+		await writeManifest(docsPath, hashes);
+	} catch (error) {
+		failures.push({ docsName, path: manifestName, error });
+	}
+
+	return { changes: changes.filter((c) => !failedPaths.has(c.path)), failures };
+};
+
+// Failures of a whole document (rendering it or reading its manifest) are reported without a file path
+const generateDocsTree = async (docsTree, outputPath, options, extensions) => {
+	const { docsName } = docsTree;
+
+	try {
+		const rendered = renderDocs(docsTree, options, extensions);
+		const { failures } = await syncDocsFolder(docsName, path.join(outputPath, rendered.folder), getDocsFiles(rendered));
+
+		return { rendered, failures };
+	} catch (error) {
+		return { rendered: null, failures: [{ docsName, path: null, error }] };
+	}
+};
+
+const getFailureSummary = (failures) => {
+	const lines = failures.map(
+		({ docsName, path: filePath, error }) => `"${docsName}" ${filePath ?? '(document)'}: ${error.message}`
+	);
+	return `Documentation write failed (${failures.length} error(s)):\n\t${lines.join('\n\t')}`;
+};
+
+/**
+ * Renders each docs tree and writes it in the layout of the output target, e.g. a markdown folder and a mkdocs.yml file.
+ * Only the files whose content changed since the last write are written, and the generated files that no longer exist
+ * are removed, the other files of the document folders being left alone. Every document is written even if others
+ * fail; failures are gathered and reported once all writes are settled.
+ *
+ * @param {Object[]} docsTrees - Docs trees as returned by `getDocsTrees`.
+ * @param {Object} options - Resolved options.
+ * @param {string} options.output - Directory to output the generated documents to.
+ * @param {string} [options.format] - `json`, `single` or `html` to output the documentation model, a single markdown
+ * file or a standalone HTML file instead of the files of the target.
+ * @param {string} [options.target] - Documentation generator to output for, `mkdocs` by default.
+ * @param {string} [options.mkdocsTemplate] - Path of the base mkdocs.yml file, empty to generate it from scratch.
+ * @param {import('./plugins.mjs').Extensions} [extensions] - Templates and plugins to render the pages with.
+ * @returns {Promise<RenderedDocs[]>} The rendered documents, once written.
+ * @throws {Error} Summarizing the documents and files that failed, which are listed in its `failures` property.
+ */
+export const generateDocs = async (docsTrees, options, extensions = defaultExtensions) => {
+	const outputPath = path.resolve(process.cwd(), options.output);
+	const results = await Promise.all(docsTrees.map((dt) => generateDocsTree(dt, outputPath, options, extensions)));
+
+	results.forEach(({ failures }, i) => {
+		const { docsName } = docsTrees[i];
+
+		if (failures.length === 0) {
+			logSuccess(clic.green(`"${docsName}" docs write complete`));
+		} else {
+			logError(clic.red(`"${docsName}" docs write failed`));
+		}
+	});
+
+	const failures = results.flatMap((r) => r.failures);
+
+	if (failures.length > 0) {
+		throw Object.assign(new Error(getFailureSummary(failures)), { failures });
+	}
+
+	return results.map((r) => r.rendered);
+};
+
+/**
+ * Brings a previously written document up to date with its new rendering, only writing the files whose content
+ * changed and removing the generated files that no longer exist.
+ *
+ * @param {RenderedDocs} rendered - New rendering of the document.
+ * @param {Object} options - Resolved options.
+ * @param {string} options.output - Directory to output the generated documents to.
+ * @returns {Promise<string[]>} Paths, relative to the document folder, of the files written or removed.
+ * @throws {Error} Summarizing the files that failed, which are listed in its `failures` property, or if the manifest
+ * of the document folder cannot be read.
+ */
+export const updateDocs = async (rendered, options) => {
+	const docsPath = path.join(path.resolve(process.cwd(), options.output), rendered.folder);
+	const { changes, failures } = await syncDocsFolder(rendered.docsName, docsPath, getDocsFiles(rendered));
+
+	if (failures.length > 0) {
+		throw Object.assign(new Error(getFailureSummary(failures)), { failures });
+	}
+
+	return changes.map((c) => c.path);
+};
+
+/**
+ * Removes the generated files of a previously written document, e.g. one that no longer has any comment or that moved
+ * to another folder, along with its folder once it is empty. Files that were not generated are left in the folder.
+ *
+ * @param {RenderedDocs} rendered - Last rendering of the document.
+ * @param {Object} options - Resolved options.
+ * @param {string} options.output - Directory the generated documents are output to.
+ * @returns {Promise<void>} Resolves once the files are removed.
+ * @throws {Error} Summarizing the files that failed, which are listed in its `failures` property, or if the manifest
+ * of the document folder cannot be read.
+ */
+export const removeDocs = async (rendered, options) => {
+	const outputPath = path.resolve(process.cwd(), options.output);
+	const docsPath = path.join(outputPath, rendered.folder);
+	const { failures } = await syncDocsFolder(rendered.docsName, docsPath, new Map());
+
+	if (failures.length > 0) {
+		throw Object.assign(new Error(getFailureSummary(failures)), { failures });
+	}
+
+	await removeEmptyDirs([docsPath], outputPath);
+
+	if (!fs.existsSync(docsPath)) {
+		logInfo(`${docsPath} (removed)`);
+	}
+};
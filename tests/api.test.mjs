@@ -0,0 +1,93 @@
+import fs from 'fs';
+import { generate } from '../src/api.mjs';
+import os from 'os';
+import path from 'path';
+
+const source = `/**
+ * @docs Api // Users // Functions
+ * @desc getUser - Gets a user
+ * @param {string} id - Id of the user
+ */
+export const getUser = (id) => null;
+`;
+
+let rootPath = '';
+
+const getOptions = (options) => ({
+	source: [path.join(rootPath, 'src')],
+	output: path.join(rootPath, 'out'),
+	...options,
+});
+
+beforeEach(() => {
+	import.meta.jest.spyOn(console, 'log').mockImplementation(() => {});
+	rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'jsmkdocs-'));
+	fs.mkdirSync(path.join(rootPath, 'src'));
+	fs.writeFileSync(path.join(rootPath, 'src', 'users.js'), source);
+});
+
+afterEach(() => {
+	import.meta.jest.restoreAllMocks();
+	fs.rmSync(rootPath, { recursive: true, force: true });
+});
+
+describe('generate', () => {
+	test('returns the documentation without writing it', async () => {
+		const { options, docsTrees, documents, problems } = await generate(getOptions(), { write: false });
+		const [document] = documents;
+
+		expect(options).toMatchObject({ target: 'mkdocs', format: 'markdown', ignore: ['.git', 'node_modules'] });
+		expect(docsTrees.map((dt) => dt.docsName)).toEqual(['Api']);
+		expect(problems).toEqual([]);
+		expect(document).toMatchObject({ docsName: 'Api', folder: 'api', title: 'Api', target: 'mkdocs' });
+		expect(document.pages.map((p) => p.path)).toEqual(['index.md', 'users.md']);
+		expect(document.pages[1].markdown).toContain('### getUser {#getuser}');
+		expect(document.nav).toEqual([
+			{ title: 'Home', path: 'index.md' },
+			{ title: 'Users', path: 'users.md' },
+		]);
+		expect(document.mkdocsYml).toContain('site_name: Api');
+		expect(document.files.map((f) => f.path).sort()).toEqual(['docs/index.md', 'docs/users.md', 'mkdocs.yml']);
+		expect(fs.existsSync(path.join(rootPath, 'out'))).toBe(false);
+	});
+
+	test('writes the files it returns', async () => {
+		const { documents } = await generate(getOptions());
+
+		documents[0].files.forEach((f) => {
+			expect(fs.readFileSync(path.join(rootPath, 'out', 'api', f.path), 'utf8')).toBe(f.text);
+		});
+	});
+
+	test('writes every document before failing with the files that could not be written', async () => {
+		fs.writeFileSync(
+			path.join(rootPath, 'src', 'guides.js'),
+			'/**\n * @docs Guides // Setup // Install\n * @desc install - Installs the application\n */\n'
+		);
+		fs.mkdirSync(path.join(rootPath, 'out'));
+		fs.writeFileSync(path.join(rootPath, 'out', 'api'), '');
+
+		const error = await generate(getOptions({ target: 'markdown' })).catch((e) => e);
+
+		expect(error.message).toMatch(/^Documentation write failed \(\d+ error\(s\)\):\n\t"Api" /u);
+		expect(error.failures.map((f) => [f.docsName, f.path])).toContainEqual(['Api', 'users.md']);
+		expect(error.failures.every((f) => f.docsName === 'Api')).toBe(true);
+		expect(fs.readFileSync(path.join(rootPath, 'out', 'guides', 'setup.md'), 'utf8')).toContain('install');
+	});
+
+	test('resolves the options of each call on their own', async () => {
+		const [markdown, mkdocs] = await Promise.all([
+			generate(getOptions({ target: 'markdown' }), { write: false }),
+			generate(getOptions(), { write: false }),
+		]);
+
+		expect(markdown.documents[0]).toMatchObject({ target: 'markdown', mkdocsYml: null });
+		expect(mkdocs.documents[0]).toMatchObject({ target: 'mkdocs', mkdocsYml: expect.any(String) });
+	});
+
+	test('rejects unknown and mistyped options', async () => {
+		await expect(generate(getOptions({ outptu: 'docs', source: 1 }))).rejects.toThrow(
+			"Invalid options in generate():\n\t'source' must be a list of strings\n\t'outptu' is not a valid option"
+		);
+	});
+});
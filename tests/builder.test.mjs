@@ -0,0 +1,179 @@
+import { getDocsFolders, getDocsTrees } from '../src/builder.mjs';
+import fs from 'fs';
+import { generate } from '../src/api.mjs';
+import os from 'os';
+import path from 'path';
+
+const comment = (docs, name) => ({
+	tags: [
+		{ type: 'docs', string: docs },
+		{ type: 'desc', string: `${name} - Does ${name}` },
+	],
+	file: 'src/index.js',
+	line: 1,
+});
+
+describe('getDocsFolders', () => {
+	test('names folders like the files of the pages', () => {
+		expect(getDocsFolders(['Api', 'C++ API', 'Users & Accounts', 'Über'])).toEqual(
+			new Map([
+				['Api', 'api'],
+				['C++ API', 'c-api'],
+				['Users & Accounts', 'users-accounts'],
+				['Über', 'uber'],
+			])
+		);
+	});
+
+	test('keeps folders inside of the output directory', () => {
+		expect(getDocsFolders(['../escaped', '/etc', 'Api/v2', 'C:\\docs', '..'])).toEqual(
+			new Map([
+				['..', 'page'],
+				['../escaped', 'escaped'],
+				['/etc', 'etc'],
+				['Api/v2', 'api-v2'],
+				['C:\\docs', 'c-docs'],
+			])
+		);
+	});
+
+	test('numbers the documents whose folder is taken in alphabetical order', () => {
+		const folders = getDocsFolders(['C++ API', 'C API', 'c-api', 'C API']);
+
+		expect(folders).toEqual(
+			new Map([
+				['C API', 'c-api'],
+				['c-api', 'c-api-2'],
+				['C++ API', 'c-api-3'],
+			])
+		);
+		expect(getDocsFolders(['c-api', 'C++ API', 'C API'])).toEqual(folders);
+	});
+});
+
+describe('getDocsTrees', () => {
+	test('gives each docs tree its folder', () => {
+		const docsTrees = getDocsTrees([comment('C++ API // Page // Sec', 'a'), comment('C API // Page // Sec', 'b')]);
+
+		expect(docsTrees.map((dt) => [dt.docsName, dt.folder])).toEqual([
+			['C API', 'c-api'],
+			['C++ API', 'c-api-2'],
+		]);
+	});
+
+	test('takes the folders of the documents that are not built into account', () => {
+		const folders = getDocsFolders(['C API', 'C++ API']);
+		const [docsTree] = getDocsTrees([comment('C++ API // Page // Sec', 'a')], folders);
+
+		expect(docsTree.folder).toBe('c-api-2');
+	});
+
+	test('indexes the symbols of every document, those of the document itself first', () => {
+		const [api, guides] = getDocsTrees([
+			comment('Api // Users // Sec', 'getUser'),
+			comment('Api // Setup // Sec', 'install'),
+			comment('Guides // Setup // Sec', 'install'),
+		]);
+
+		expect(api.symbols.get('install')).toEqual({ name: 'install', folder: 'api', path: 'setup.md', anchor: 'install' });
+		expect(guides.symbols.get('install')).toMatchObject({ folder: 'guides', path: 'setup.md' });
+		expect(guides.symbols.get('getUser')).toEqual({
+			name: 'getUser',
+			folder: 'api',
+			path: 'users.md',
+			anchor: 'getuser',
+		});
+	});
+});
+
+describe('ordering', () => {
+	const withTags = (c, tags) => ({ ...c, tags: [...c.tags, ...tags.map(([type, string]) => ({ type, string }))] });
+	const getNames = (pages) => pages.map((p) => (p.subPages ? [p.pageName, getNames(p.subPages)] : p.pageName));
+
+	test('orders the pages by weight, then alphabetically, folders weighing as their lightest page', () => {
+		const [docsTree] = getDocsTrees([
+			comment('Api // Zeta // Sec', 'zeta'),
+			withTags(comment('Api // Delta // Sec', 'delta'), [['order', '2']]),
+			comment('Api // Alpha // Sec', 'alpha'),
+			withTags(comment('Api // Group // Beta // Sec', 'beta'), [['order', '3']]),
+			withTags(comment('Api // Group // Gamma // Sec', 'gamma'), [['order', '1']]),
+			withTags(comment('Api // Epsilon // Sec', 'epsilon'), [['order', 'first']]),
+		]);
+
+		expect(getNames(docsTree.subPages)).toEqual([['Group', ['Gamma', 'Beta']], 'Delta', 'Alpha', 'Epsilon', 'Zeta']);
+	});
+
+	test('orders the sections by weight, then alphabetically, and their comments by source file', () => {
+		const inFile = (c, file) => ({ ...c, file });
+		const [docsTree] = getDocsTrees([
+			inFile(comment('Api // Users // Types', 'User'), 'src/types.js'),
+			inFile(withTags(comment('Api // Users // Helpers', 'format'), [['sectionOrder', '1']]), 'src/b.js'),
+			inFile(comment('Api // Users // Helpers', 'parse'), 'src/b.js'),
+			inFile(comment('Api // Users // Helpers', 'escape'), 'src/a.js'),
+			inFile(comment('Api // Users // Functions', 'getUser'), 'src/users.js'),
+		]);
+		const { sections } = docsTree.subPages[0];
+
+		expect(Object.keys(sections)).toEqual(['Helpers', 'Functions', 'Types']);
+		expect(sections.Helpers.map((c) => c.tags[1].string)).toEqual([
+			'escape - Does escape',
+			'format - Does format',
+			'parse - Does parse',
+		]);
+	});
+});
+
+describe('generate', () => {
+	let rootPath = '';
+
+	beforeEach(() => {
+		import.meta.jest.spyOn(console, 'log').mockImplementation(() => {});
+		rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'jsmkdocs-'));
+		fs.mkdirSync(path.join(rootPath, 'src'));
+	});
+
+	afterEach(() => {
+		import.meta.jest.restoreAllMocks();
+		fs.rmSync(rootPath, { recursive: true, force: true });
+	});
+
+	test('writes each document in its folder of the output directory', async () => {
+		const source = ['../escaped', 'Api/v2', 'C++ API', 'C API']
+			.map((docsName, i) => `/**\n * @docs ${docsName} // Page // Sec\n * @desc fn${i} - Does it\n */\n`)
+			.join('\n');
+		fs.writeFileSync(path.join(rootPath, 'src', 'index.js'), source);
+
+		const { documents } = await generate({
+			source: [path.join(rootPath, 'src')],
+			output: path.join(rootPath, 'out', 'docs'),
+		});
+
+		expect(documents.map((d) => d.folder).sort()).toEqual(['api-v2', 'c-api', 'c-api-2', 'escaped']);
+		expect(fs.readdirSync(path.join(rootPath, 'out', 'docs')).sort()).toEqual([
+			'api-v2',
+			'c-api',
+			'c-api-2',
+			'escaped',
+		]);
+		expect(fs.readdirSync(path.join(rootPath, 'out')).sort()).toEqual(['docs']);
+		expect(fs.existsSync(path.join(rootPath, 'out', 'docs', 'escaped', 'docs', 'page.md'))).toBe(true);
+	});
+
+	test('titles the document and its pages with their title tags, their paths following their names', async () => {
+		const source = [
+			'/**\n * @docs Api // Users // Functions\n * @desc getUser - Gets a user\n * @pageTitle Zebras\n */',
+			'/**\n * @docs Api // Groups // Functions\n * @desc getGroup - Gets a group\n * @docsTitle The API\n */',
+		].join('\n');
+		fs.writeFileSync(path.join(rootPath, 'src', 'index.js'), source);
+
+		const { documents } = await generate({ source: [path.join(rootPath, 'src')] }, { write: false });
+
+		expect(documents[0].title).toBe('The API');
+		expect(documents[0].mkdocsYml).toContain('site_name: The API\n');
+		expect(documents[0].nav).toEqual([
+			{ title: 'Home', path: 'index.md' },
+			{ title: 'Groups', path: 'groups.md' },
+			{ title: 'Zebras', path: 'users.md' },
+		]);
+	});
+});
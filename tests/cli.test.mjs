@@ -0,0 +1,96 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+
+const cliPath = fileURLToPath(new URL('../src/index.mjs', import.meta.url));
+const fixturesPath = fileURLToPath(new URL('fixtures', import.meta.url));
+
+let outputPath = '';
+
+const runCli = (args) =>
+	spawnSync(process.execPath, [cliPath, '-s', fixturesPath, '-o', outputPath, ...args], {
+		encoding: 'utf8',
+		env: { ...process.env, NO_COLOR: '1' },
+	});
+
+beforeEach(() => {
+	outputPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'jsmkdocs-')), 'docs');
+});
+
+afterEach(() => {
+	fs.rmSync(path.dirname(outputPath), { recursive: true, force: true });
+});
+
+describe('cli', () => {
+	test('generates the documentation', () => {
+		const { status } = runCli(['-T', 'markdown']);
+
+		expect(status).toBe(0);
+		expect(fs.existsSync(path.join(outputPath, 'api', 'index.md'))).toBe(true);
+	});
+
+	test('runs the sources through the parser, the builder and the writer with the default options', () => {
+		const { status, stdout } = runCli([]);
+		const readFile = (...segments) => fs.readFileSync(path.join(outputPath, 'api', ...segments), 'utf8');
+
+		expect(status).toBe(0);
+		expect(stdout).toContain('"Api" docs write complete');
+		expect(readFile('mkdocs.yml')).toContain('site_name: Api\nnav:\n  - Home: index.md\n  - Users: users.md\n');
+		expect(readFile('docs', 'users.md')).toContain('*function* `getUser(id, deep?, { retries = 3 }?)`');
+		expect(readFile('docs', 'users.md')).toContain('id | `string` | Id of the user');
+	});
+
+	test('exits with a non-zero code and lists the files that could not be written', () => {
+		fs.mkdirSync(outputPath);
+		fs.writeFileSync(path.join(outputPath, 'api'), '');
+
+		const { status, stdout } = runCli(['-T', 'markdown']);
+
+		expect(status).toBe(1);
+		expect(stdout).toContain('"Api" docs write failed');
+		expect(stdout).toContain('Documentation write failed (');
+		expect(stdout).toMatch(/"Api" users\.md: E[A-Z]+/u);
+	});
+
+	test('only reports the malformed comments in check mode', () => {
+		const { status, stdout } = runCli(['--check']);
+
+		expect(status).toBe(0);
+		expect(stdout).toMatch(/tests\/fixtures\/users\.ts:39 @param '\{string\|\} user - Badly typed parameter/u);
+		expect(stdout).toContain('3 malformed comment(s) found');
+		expect(fs.existsSync(outputPath)).toBe(false);
+	});
+
+	test('fails without writing anything on malformed comments in strict mode', () => {
+		const { status, stdout } = runCli(['--strict']);
+
+		expect(status).toBe(1);
+		expect(stdout).toContain('Malformed comments found in strict mode, no documentation was written');
+		expect(fs.existsSync(outputPath)).toBe(false);
+	});
+
+	test.each([
+		[['--target', 'docusuarus'], "'target' must be one of"],
+		[['-f', 'nope'], "'format' must be one of"],
+		[['-T', 'mkdocs', '-f', 'nope'], "'format' must be one of"],
+	])('aborts on values outside the choices of an option: %p', (args, message) => {
+		const { status, stdout } = runCli(args);
+
+		expect(status).toBe(1);
+		expect(stdout).toContain(message);
+		expect(fs.existsSync(outputPath)).toBe(false);
+	});
+
+	test.each([
+		[['--outptu', 'docs'], "'outptu' is not a valid option"],
+		[['-X'], "'X' is not a valid option"],
+	])('aborts on unknown options: %p', (args, message) => {
+		const { status, stdout } = runCli(args);
+
+		expect(status).toBe(1);
+		expect(stdout).toContain(message);
+		expect(fs.existsSync(outputPath)).toBe(false);
+	});
+});
@@ -0,0 +1,113 @@
+import { loadConfig, resolveConfigPaths } from '../src/config.mjs';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+
+const cliPath = fileURLToPath(new URL('../src/index.mjs', import.meta.url));
+const cwd = process.cwd();
+
+let rootPath = '';
+
+const writeFile = (fileName, text) => {
+	fs.mkdirSync(path.dirname(path.join(rootPath, fileName)), { recursive: true });
+	fs.writeFileSync(path.join(rootPath, fileName), text);
+};
+
+beforeEach(() => {
+	rootPath = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'jsmkdocs-')));
+	process.chdir(rootPath);
+});
+
+afterEach(() => {
+	process.chdir(cwd);
+	fs.rmSync(rootPath, { recursive: true, force: true });
+});
+
+describe('loadConfig', () => {
+	test('takes the first configuration found in the working directory', async () => {
+		writeFile('jsmkdocs.config.js', "module.exports = { output: 'js' };");
+		writeFile('jsmkdocs.config.mjs', "export default { output: 'mjs' };");
+		writeFile('jsmkdocs.config.cjs', "module.exports = { output: 'cjs' };");
+		writeFile('.jsmkdocsrc.json', JSON.stringify({ output: 'json' }));
+		writeFile('package.json', JSON.stringify({ name: 'project', jsmkdocs: { output: 'package' } }));
+
+		for (const [fileName, output] of [
+			['jsmkdocs.config.js', 'js'],
+			['jsmkdocs.config.mjs', 'mjs'],
+			['jsmkdocs.config.cjs', 'cjs'],
+			['.jsmkdocsrc.json', 'json'],
+			['package.json', 'package'],
+		]) {
+			expect(await loadConfig()).toEqual({ filePath: path.join(rootPath, fileName), config: { output } });
+			fs.rmSync(path.join(rootPath, fileName));
+		}
+	});
+
+	test('ignores package.json files without a jsmkdocs key', async () => {
+		writeFile('package.json', JSON.stringify({ name: 'project' }));
+
+		expect(await loadConfig()).toBeNull();
+	});
+
+	test('loads the given file over the ones of the working directory', async () => {
+		writeFile('.jsmkdocsrc.json', JSON.stringify({ output: 'json' }));
+		writeFile('config/docs.json', JSON.stringify({ output: 'given' }));
+
+		expect(await loadConfig('config/docs.json')).toEqual({
+			filePath: path.join(rootPath, 'config', 'docs.json'),
+			config: { output: 'given' },
+		});
+		await expect(loadConfig('missing.json')).rejects.toThrow('does not exist');
+	});
+
+	test('rejects files that do not hold a configuration object', async () => {
+		writeFile('.jsmkdocsrc.json', '["src"]');
+		await expect(loadConfig()).rejects.toThrow('does not hold a configuration object');
+
+		writeFile('.jsmkdocsrc.json', '{');
+		await expect(loadConfig()).rejects.toThrow('Could not parse');
+	});
+});
+
+describe('resolveConfigPaths', () => {
+	test('resolves paths against the directory of the configuration file', () => {
+		const config = {
+			source: ['src', '../lib'],
+			output: './docs',
+			intros: '',
+			templates: '/abs/templates',
+			plugins: ['./plugins/tags.js', 'jsmkdocs-plugin-endpoints'],
+			ignore: ['**/dist/**'],
+			pattern: ['**/*.js'],
+			target: 'markdown',
+		};
+
+		expect(resolveConfigPaths(config, path.join(rootPath, 'project', 'jsmkdocs.config.js'))).toEqual({
+			source: [path.join(rootPath, 'project', 'src'), path.join(rootPath, 'lib')],
+			output: path.join(rootPath, 'project', 'docs'),
+			intros: '',
+			templates: path.resolve('/abs/templates'),
+			plugins: [path.join(rootPath, 'project', 'plugins', 'tags.js'), 'jsmkdocs-plugin-endpoints'],
+			ignore: ['**/dist/**'],
+			pattern: ['**/*.js'],
+			target: 'markdown',
+		});
+	});
+
+	test('lets the CLI run from another directory than the one of the configuration file', () => {
+		writeFile('.jsmkdocsrc.json', JSON.stringify({ source: ['src'], output: 'out', target: 'markdown' }));
+		writeFile('src/users.js', '/**\n * @docs Api // Users // Users\n * @desc getUser - Gets a user\n */\n');
+		fs.mkdirSync(path.join(rootPath, 'scripts'));
+
+		const { status } = spawnSync(process.execPath, [cliPath, '--config', '../.jsmkdocsrc.json'], {
+			cwd: path.join(rootPath, 'scripts'),
+			encoding: 'utf8',
+		});
+
+		expect(status).toBe(0);
+		expect(fs.existsSync(path.join(rootPath, 'out', 'api', 'users.md'))).toBe(true);
+		expect(fs.existsSync(path.join(rootPath, 'scripts', 'out'))).toBe(false);
+	});
+});
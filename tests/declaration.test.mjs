@@ -0,0 +1,322 @@
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import os from 'os';
+import { parseDeclaration } from '../src/declaration.mjs';
+import { parseFile } from '../src/parser.mjs';
+import path from 'path';
+
+const fixturePath = fileURLToPath(new URL('fixtures/users.ts', import.meta.url));
+
+const param = (name, type = null, { optional = false, defaultValue = null, rest = false } = {}) => ({
+	name,
+	type,
+	optional,
+	defaultValue,
+	rest,
+});
+
+const member = (name, type = null, optional = false) => ({ name, type, optional });
+
+describe('parseDeclaration', () => {
+	describe('functions', () => {
+		test('reads the type arguments, parameters and return type of a TypeScript function', () => {
+			const code = `export async function getUsers<T extends Base<U>, U = string>(
+				ids: string[],
+				limit?: number,
+				...rest: Array<T>
+			): Promise<Map<string, T>> {
+				return new Map();
+			}`;
+
+			expect(parseDeclaration(code)).toEqual({
+				name: 'getUsers',
+				kind: 'function',
+				params: [
+					param('ids', 'string[]'),
+					param('limit', 'number', { optional: true }),
+					param('rest', 'Array<T>', { rest: true }),
+				],
+				returns: 'Promise<Map<string, T>>',
+				members: [],
+			});
+		});
+
+		test('reads object type return types', () => {
+			expect(parseDeclaration('function getRange(): { start: number; end: number } { return null; }')).toMatchObject({
+				returns: '{ start: number; end: number }',
+			});
+		});
+
+		test('reads arrow functions', () => {
+			expect(parseDeclaration('const getUser = async (id: string, deep = false): Promise<User> => {};')).toEqual({
+				name: 'getUser',
+				kind: 'function',
+				params: [param('id', 'string'), param('deep', null, { optional: true, defaultValue: 'false' })],
+				returns: 'Promise<User>',
+				members: [],
+			});
+		});
+
+		test('reads single-parameter arrow functions', () => {
+			expect(parseDeclaration('export const double = x => x * 2;')).toMatchObject({
+				name: 'double',
+				kind: 'function',
+				params: [param('x')],
+			});
+			expect(parseDeclaration('const getId = async <T>(item: T) => item.id;')).toMatchObject({
+				name: 'getId',
+				params: [param('item', 'T')],
+			});
+		});
+
+		test('does not take parenthesized expressions for arrow functions', () => {
+			expect(parseDeclaration('const total = (a + b) * 2;')).toMatchObject({
+				name: 'total',
+				kind: 'constant',
+				params: [],
+			});
+		});
+
+		test('leaves out the this parameter', () => {
+			expect(parseDeclaration('function onClick(this: HTMLElement, event: MouseEvent): void {}').params).toEqual([
+				param('event', 'MouseEvent'),
+			]);
+		});
+
+		test('keeps destructured parameters as written', () => {
+			const code = "function connect({ host, port = 80 }: Options = {}, [first, second]: string[], cb = () => ';') {}";
+
+			expect(parseDeclaration(code).params).toEqual([
+				param('{ host, port = 80 }', 'Options', { optional: true, defaultValue: '{}' }),
+				param('[first, second]', 'string[]'),
+				param('cb', null, { optional: true, defaultValue: "() => ';'" }),
+			]);
+		});
+
+		test('ignores brackets in comments and strings', () => {
+			const code = 'function split(text = \'(\', /* sep) */ sep: string = ")"): string[] {}';
+
+			expect(parseDeclaration(code).params).toEqual([
+				param('text', null, { optional: true, defaultValue: "'('" }),
+				param('sep', 'string', { optional: true, defaultValue: '")"' }),
+			]);
+		});
+	});
+
+	describe('classes and types', () => {
+		test('reads the members of a class, constructor parameter properties included', () => {
+			const code = `export class UserStore extends Store<User> implements Disposable {
+				private readonly cache = new Map<string, User>();
+				static instances: number;
+
+				constructor(
+					private readonly api: ApiClient,
+					public name?: string,
+					protected timeout: number = 10,
+					retries = 3
+				) {
+					super();
+				}
+
+				get size(): number {
+					return this.cache.size;
+				}
+			}`;
+
+			expect(parseDeclaration(code)).toEqual({
+				name: 'UserStore',
+				kind: 'class',
+				params: [],
+				returns: null,
+				members: [
+					member('cache'),
+					member('instances', 'number'),
+					member('constructor', 'Function'),
+					member('api', 'ApiClient'),
+					member('name', 'string', true),
+					member('timeout', 'number'),
+					member('size', 'Function'),
+				],
+			});
+		});
+
+		test('reads the members of an interface', () => {
+			const code = `export interface User extends Base {
+				readonly id: string;
+				name?: string;
+				'full-name': string,
+				tags: Array<{ name: string; color?: string }>;
+				greet<T>(other: User): T;
+				[key: string]: unknown;
+			}`;
+
+			expect(parseDeclaration(code)).toMatchObject({
+				name: 'User',
+				kind: 'interface',
+				members: [
+					member('id', 'string'),
+					member('name', 'string', true),
+					member('full-name', 'string'),
+					member('tags', 'Array<{ name: string; color?: string }>'),
+					member('greet', 'Function'),
+				],
+			});
+		});
+
+		test('reads the members of object type aliases', () => {
+			expect(parseDeclaration('export type Options = { limit: number; deep?: boolean };')).toMatchObject({
+				name: 'Options',
+				kind: 'type',
+				members: [member('limit', 'number'), member('deep', 'boolean', true)],
+			});
+		});
+
+		test('reads the parameters of function type aliases', () => {
+			expect(parseDeclaration('type Handler = (event: Event, ...args: unknown[]) => void;')).toMatchObject({
+				name: 'Handler',
+				kind: 'type',
+				params: [param('event', 'Event'), param('args', 'unknown[]', { rest: true })],
+				returns: 'void',
+			});
+		});
+
+		test.each([
+			['type Fn = (a: string) => boolean;', 'boolean'],
+			['type Fn = <T>(items: T[]) => Promise<Map<string, T>>', 'Promise<Map<string, T>>'],
+			['type Fn = () => (a: number) => void;', '(a: number) => void'],
+			['type Fn = () => { id: string; name?: string };', '{ id: string; name?: string }'],
+			['type Fn = () =>\n\t| string\n\t| null\nexport const fn: Fn = () => null;', '| string | null'],
+		])('reads the return type of %p', (code, returns) => {
+			expect(parseDeclaration(code)).toMatchObject({ kind: 'type', returns });
+		});
+	});
+
+	describe('assignments', () => {
+		test('names module.exports after the exported function', () => {
+			expect(parseDeclaration('module.exports = function createServer(port = 8080) {};')).toMatchObject({
+				name: 'createServer',
+				kind: 'function',
+				params: [param('port', null, { optional: true, defaultValue: '8080' })],
+			});
+			expect(parseDeclaration('module.exports = (options) => {};')).toMatchObject({ name: null, kind: 'function' });
+		});
+
+		test('reads prototype assignments as methods', () => {
+			expect(parseDeclaration('UserStore.prototype.load = function (id, cb) {};')).toMatchObject({
+				name: 'load',
+				kind: 'method',
+				params: [param('id'), param('cb')],
+			});
+		});
+
+		test('reads object literal properties and class methods as methods', () => {
+			expect(parseDeclaration('load: async function (id) {},')).toMatchObject({ name: 'load', kind: 'method' });
+			expect(parseDeclaration('async load(id: string): Promise<void> {}')).toMatchObject({
+				name: 'load',
+				kind: 'method',
+				returns: 'Promise<void>',
+			});
+		});
+
+		test('reads constants and variables', () => {
+			expect(parseDeclaration('export const version = "1.0";')).toMatchObject({ name: 'version', kind: 'constant' });
+			expect(parseDeclaration('let count = 0;')).toMatchObject({ name: 'count', kind: 'variable' });
+		});
+	});
+
+	test.each(['', 'if (ready) { start(); }', 'return (a, b);', 'const { a, b } = obj;', 'module.exports = { a: 1 };'])(
+		'recognizes no declaration in %p',
+		(code) => {
+			expect(parseDeclaration(code)).toMatchObject({ name: null, kind: null, params: [], members: [] });
+		}
+	);
+});
+
+describe('parseFile', () => {
+	const comments = parseFile(fixturePath);
+	const getTagStrings = (name, type) =>
+		comments
+			.find((c) => c.declaration.name === name)
+			.tags.filter((t) => t.type === type)
+			.map((t) => t.string);
+
+	test('reads the declaration following each comment', () => {
+		expect(comments.map((c) => [c.declaration.name, c.declaration.kind])).toEqual([
+			['getUser', 'function'],
+			['User', 'interface'],
+			['UserStore', 'class'],
+			['formatName', 'function'],
+		]);
+	});
+
+	test('takes the types left out of the tags from the annotations', () => {
+		expect(getTagStrings('getUser', 'param')).toEqual([
+			'{string} id - Id of the user',
+			'{boolean} [deep] - Whether the friends of the user are loaded too',
+			'options - Options of the request',
+		]);
+		expect(getTagStrings('getUser', 'returns')).toEqual(['{Promise<User | null>} The user']);
+		expect(getTagStrings('formatName', 'returns')).toEqual(['{string} The name']);
+	});
+
+	test('takes the types of properties from the members', () => {
+		expect(getTagStrings('User', 'property')).toEqual([
+			'{string} id - Id of the user',
+			'{string} name - Name of the user',
+			'unknown - Not a member of the interface',
+		]);
+		expect(getTagStrings('UserStore', 'property')).toEqual([
+			'{ApiClient} api - Client of the API',
+			'{number} size - Number of cached users',
+		]);
+	});
+
+	test('keeps the types given by the tags, even malformed ones', () => {
+		expect(getTagStrings('formatName', 'param')).toEqual([
+			'{string|} user - Badly typed parameter, left to the validator',
+		]);
+	});
+});
+
+describe('parseFile with types dox cannot parse', () => {
+	let rootPath = '';
+
+	beforeEach(() => {
+		rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'jsmkdocs-'));
+	});
+
+	afterEach(() => {
+		fs.rmSync(rootPath, { recursive: true, force: true });
+	});
+
+	test('keeps the tags as they are written', () => {
+		const filePath = path.join(rootPath, 'index.js');
+		const source = `/**
+ * @docs Api // Users // Types
+ * @typedef {Object|} Options
+ * @property {string|} name - Name of the user
+ * @param {string id - Unclosed type
+ * @returns {{ id: number }} The {@link User}
+ */
+const options = {};
+
+/**
+ * @docs Api // Users // Users
+ * @param {string} id - Id of the user
+ */
+function getUser(id) {}
+`;
+		fs.writeFileSync(filePath, source);
+
+		expect(parseFile(filePath).map((c) => c.tags.map((t) => t.string))).toEqual([
+			[
+				'Api // Users // Types',
+				'{Object|} Options',
+				'{string|} name - Name of the user',
+				'{string id - Unclosed type',
+				'{{ id: number }} The {@link User}',
+			],
+			['Api // Users // Users', '{string} id - Id of the user'],
+		]);
+	});
+});
@@ -0,0 +1,45 @@
+/**
+ * @docs Api // Users // Functions
+ * @desc Gets a user by its id
+ * @param id - Id of the user
+ * @param {boolean} [deep] - Whether the friends of the user are loaded too
+ * @param options - Options of the request
+ * @returns The user
+ */
+export async function getUser(id: string, deep?: boolean, { retries = 3 }: RequestOptions = {}): Promise<User | null> {
+	return null;
+}
+
+/**
+ * @docs Api // Users // Types
+ * @desc A user of the application
+ * @property id - Id of the user
+ * @property name - Name of the user
+ * @property unknown - Not a member of the interface
+ */
+export interface User {
+	readonly id: string;
+	name?: string;
+}
+
+/**
+ * @docs Api // Users // Classes
+ * @desc Caches the users fetched from the API
+ * @property api - Client of the API
+ * @property {number} size - Number of cached users
+ */
+export class UserStore {
+	constructor(private readonly api: ApiClient) {}
+
+	get size(): number {
+		return 0;
+	}
+}
+
+/**
+ * @docs Api // Users // Functions
+ * @desc Formats the name of a user
+ * @param {string|} user - Badly typed parameter, left to the validator
+ * @returns The name
+ */
+const formatName = (user: User): string => user.name ?? user.id;
@@ -0,0 +1,215 @@
+import { hashText, manifestName, readManifest, writeManifest } from '../src/manifest.mjs';
+import { removeDocs, updateDocs } from '../src/writer.mjs';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+let outputPath = '';
+let docsPath = '';
+
+const options = () => ({ output: outputPath });
+
+const rendered = (files = {}) => ({
+	docsName: 'Api',
+	folder: 'api',
+	files: Object.entries(files).map(([filePath, text]) => ({ path: filePath, text })),
+});
+
+const readFile = (filePath) => fs.readFileSync(path.join(docsPath, filePath), 'utf8');
+
+const writeFile = (filePath, text) => {
+	fs.mkdirSync(path.dirname(path.join(docsPath, filePath)), { recursive: true });
+	fs.writeFileSync(path.join(docsPath, filePath), text);
+};
+
+const getMtime = (filePath) => fs.statSync(path.join(docsPath, filePath)).mtimeMs;
+
+beforeEach(() => {
+	import.meta.jest.spyOn(console, 'log').mockImplementation(() => {});
+	outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'jsmkdocs-'));
+	docsPath = path.join(outputPath, 'api');
+});
+
+afterEach(() => {
+	import.meta.jest.restoreAllMocks();
+	fs.rmSync(outputPath, { recursive: true, force: true });
+});
+
+describe('manifest', () => {
+	test('reads the hashes it writes', async () => {
+		const files = new Map([
+			['users.md', hashText('# Users')],
+			['index.md', hashText('# Api')],
+		]);
+
+		await writeManifest(docsPath, files);
+
+		expect(await readManifest(docsPath)).toEqual(files);
+		expect(Object.keys(JSON.parse(readFile(manifestName)).files)).toEqual(['index.md', 'users.md']);
+	});
+
+	test('reads folders without a manifest as having no generated file', async () => {
+		expect(await readManifest(docsPath)).toEqual(new Map());
+	});
+
+	test('removes the manifest once no file is generated', async () => {
+		await writeManifest(docsPath, new Map([['index.md', hashText('# Api')]]));
+		await writeManifest(docsPath, new Map());
+
+		expect(fs.existsSync(path.join(docsPath, manifestName))).toBe(false);
+	});
+
+	test('rejects corrupt manifests and manifests of other versions', async () => {
+		writeFile(manifestName, '{');
+		await expect(readManifest(docsPath)).rejects.toThrow('Could not read manifest');
+
+		writeFile(manifestName, JSON.stringify({ version: 0, files: {} }));
+		await expect(readManifest(docsPath)).rejects.toThrow('is not a version 1 manifest');
+	});
+
+	test('ignores paths outside of the folder and hashes that are not strings', async () => {
+		const files = {
+			'users.md': 'a',
+			'../outside.md': 'b',
+			'guides/../../outside.md': 'c',
+			[path.join(outputPath, 'outside.md')]: 'd',
+			'.': 'e',
+			'count.md': 1,
+		};
+		writeFile(manifestName, JSON.stringify({ version: 1, files }));
+
+		expect(await readManifest(docsPath)).toEqual(new Map([['users.md', 'a']]));
+	});
+});
+
+describe('updateDocs', () => {
+	test('writes the files of a new document along with their manifest', async () => {
+		const changes = await updateDocs(rendered({ 'index.md': '# Api', 'users/list.md': '# List' }), options());
+
+		expect(changes.sort()).toEqual(['index.md', 'users/list.md']);
+		expect(readFile('users/list.md')).toBe('# List');
+		expect(await readManifest(docsPath)).toEqual(
+			new Map([
+				['index.md', hashText('# Api')],
+				['users/list.md', hashText('# List')],
+			])
+		);
+	});
+
+	test('does not rewrite unchanged files', async () => {
+		await updateDocs(rendered({ 'index.md': '# Api', 'users.md': '# Users' }), options());
+		const past = new Date(Date.now() - 60000);
+		fs.utimesSync(path.join(docsPath, 'index.md'), past, past);
+		const mtime = getMtime('index.md');
+
+		const changes = await updateDocs(rendered({ 'index.md': '# Api', 'users.md': '# All users' }), options());
+
+		expect(changes).toEqual(['users.md']);
+		expect(getMtime('index.md')).toBe(mtime);
+		expect(readFile('users.md')).toBe('# All users');
+	});
+
+	test('writes generated files again when they are missing', async () => {
+		await updateDocs(rendered({ 'index.md': '# Api' }), options());
+		fs.rmSync(path.join(docsPath, 'index.md'));
+
+		expect(await updateDocs(rendered({ 'index.md': '# Api' }), options())).toEqual(['index.md']);
+		expect(readFile('index.md')).toBe('# Api');
+	});
+
+	test('removes stale generated files and the folders they leave empty', async () => {
+		await updateDocs(
+			rendered({ 'index.md': '# Api', 'users/accounts/list.md': '# List', 'users/roles.md': '# Roles' }),
+			options()
+		);
+
+		const changes = await updateDocs(rendered({ 'index.md': '# Api', 'users/roles.md': '# Roles' }), options());
+
+		expect(changes).toEqual(['users/accounts/list.md']);
+		expect(fs.existsSync(path.join(docsPath, 'users/accounts'))).toBe(false);
+		expect(readFile('users/roles.md')).toBe('# Roles');
+		expect([...(await readManifest(docsPath)).keys()].sort()).toEqual(['index.md', 'users/roles.md']);
+	});
+
+	test('keeps the files added by hand', async () => {
+		await updateDocs(rendered({ 'index.md': '# Api', 'users/list.md': '# List' }), options());
+		writeFile('users/avatar.png', 'png');
+		writeFile('extra.css', 'css');
+
+		await updateDocs(rendered({ 'index.md': '# Api' }), options());
+
+		expect(readFile('users/avatar.png')).toBe('png');
+		expect(readFile('extra.css')).toBe('css');
+		expect(fs.existsSync(path.join(docsPath, 'users/list.md'))).toBe(false);
+	});
+
+	test('overwrites hand-written files that collide with generated ones', async () => {
+		writeFile('index.md', 'by hand');
+
+		expect(await updateDocs(rendered({ 'index.md': '# Api' }), options())).toEqual(['index.md']);
+		expect(readFile('index.md')).toBe('# Api');
+	});
+
+	test('keeps the previous hash of the files that failed to be written', async () => {
+		await updateDocs(rendered({ 'index.md': '# Api', 'users.md': '# Users' }), options());
+
+		// A folder in place of the file makes its write fail
+		fs.rmSync(path.join(docsPath, 'users.md'));
+		writeFile('users.md/avatar.png', 'png');
+
+		const error = await updateDocs(rendered({ 'index.md': '# Api v2', 'users.md': '# Users v2' }), options()).catch(
+			(e) => e
+		);
+
+		expect(error.failures).toEqual([expect.objectContaining({ docsName: 'Api', path: 'users.md' })]);
+		expect(await readManifest(docsPath)).toEqual(
+			new Map([
+				['index.md', hashText('# Api v2')],
+				['users.md', hashText('# Users')],
+			])
+		);
+
+		// The file is written again on the next update, although its content did not change since the failed one
+		fs.rmSync(path.join(docsPath, 'users.md'), { recursive: true });
+		writeFile('users.md', '# Users');
+
+		expect(await updateDocs(rendered({ 'index.md': '# Api v2', 'users.md': '# Users v2' }), options())).toEqual([
+			'users.md',
+		]);
+		expect(readFile('users.md')).toBe('# Users v2');
+	});
+
+	test('leaves the files outside of the folder listed in the manifest', async () => {
+		const outsidePath = path.join(outputPath, 'outside.md');
+		fs.writeFileSync(outsidePath, 'outside');
+		writeFile(
+			manifestName,
+			JSON.stringify({ version: 1, files: { '../outside.md': 'a', [outsidePath]: 'b', 'users.md': 'c' } })
+		);
+		writeFile('users.md', '# Users');
+
+		expect(await updateDocs(rendered({ 'index.md': '# Api' }), options())).toEqual(['index.md', 'users.md']);
+		expect(fs.readFileSync(outsidePath, 'utf8')).toBe('outside');
+		expect(fs.existsSync(path.join(docsPath, 'users.md'))).toBe(false);
+	});
+});
+
+describe('removeDocs', () => {
+	test('removes the generated files and the folder once it is empty', async () => {
+		await updateDocs(rendered({ 'index.md': '# Api', 'users/list.md': '# List' }), options());
+
+		await removeDocs(rendered(), options());
+
+		expect(fs.existsSync(docsPath)).toBe(false);
+		expect(fs.existsSync(outputPath)).toBe(true);
+	});
+
+	test('keeps the folder of a document holding files added by hand', async () => {
+		await updateDocs(rendered({ 'index.md': '# Api', 'users/list.md': '# List' }), options());
+		writeFile('img/logo.png', 'png');
+
+		await removeDocs(rendered(), options());
+
+		expect(fs.readdirSync(docsPath)).toEqual(['img']);
+	});
+});
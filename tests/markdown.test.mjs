@@ -0,0 +1,242 @@
+import { getPageData, getTagName } from '../src/markdown.mjs';
+import fs from 'fs';
+import { generate } from '../src/api.mjs';
+import os from 'os';
+import path from 'path';
+
+const symbols = new Map([
+	['User', { name: 'User', path: 'types.md', anchor: 'user' }],
+	['Store#load', { name: 'Store#load', path: 'users/list.md', anchor: 'storeload' }],
+]);
+
+const renderSee = (seeStrings) => {
+	const comment = {
+		tags: [
+			{ type: 'desc', string: 'getUsers - Gets the users' },
+			...seeStrings.map((string) => ({ type: 'see', string })),
+		],
+		file: 'users.js',
+		line: 1,
+	};
+	const page = { pageName: 'Users', path: 'users/list.md', sections: { Users: [comment] } };
+	const links = { symbols, pagePath: 'users/list.md', unresolved: [] };
+	const { see } = getPageData(page, links, []).sections[0].comments[0];
+
+	return { see, unresolved: links.unresolved.map((u) => u.target) };
+};
+
+describe('@see', () => {
+	test('links the names of documented symbols', () => {
+		expect(renderSee(['User', 'Store#load'])).toEqual({
+			see: ['[`User`](../types.md#user)', '[`Store#load`](#storeload)'],
+			unresolved: [],
+		});
+	});
+
+	test('reports the names of unknown symbols', () => {
+		expect(renderSee(['Group', 'module~helper'])).toEqual({
+			see: ['`Group`', '`module~helper`'],
+			unresolved: ['Group', 'module~helper'],
+		});
+	});
+
+	test('links URLs', () => {
+		expect(renderSee(['https://example.com/users']).see).toEqual([
+			'[https://example.com/users](https://example.com/users)',
+		]);
+	});
+
+	test('keeps text as it is, with its inline links resolved', () => {
+		expect(
+			renderSee([
+				'the User type',
+				'https://example.com/users for the REST API',
+				'{@link User} and {@link Group|groups}',
+			])
+		).toEqual({
+			see: ['the User type', 'https://example.com/users for the REST API', '[`User`](../types.md#user) and groups'],
+			unresolved: ['Group'],
+		});
+	});
+});
+
+describe('links between documents', () => {
+	const allSymbols = new Map([
+		['User', { name: 'User', folder: 'api', path: 'types.md', anchor: 'user' }],
+		['install', { name: 'install', folder: 'guides', path: 'setup/install.md', anchor: 'install' }],
+	]);
+
+	const renderDesc = (desc, links) => {
+		const comment = { tags: [{ type: 'desc', string: `getUsers - ${desc}` }], file: 'users.js', line: 1 };
+		const page = { pageName: 'Users', path: 'users/list.md', sections: { Users: [comment] } };
+
+		return getPageData(page, { ...links, symbols: allSymbols, pagePath: 'users/list.md', unresolved: [] }, [])
+			.sections[0].comments[0].desc;
+	};
+
+	test('links the symbols of other documents through their folder', () => {
+		expect(renderDesc('See {@link install} and {@link User}', { folder: 'api' })).toBe(
+			'See [`install`](../../guides/setup/install.md#install) and [`User`](../types.md#user)'
+		);
+	});
+
+	test('reaches the pages of other documents in the pages folder of the target', () => {
+		expect(renderDesc('See {@link install} and {@link User}', { folder: 'api', pagesDir: 'docs' })).toBe(
+			'See [`install`](../../../guides/docs/setup/install.md#install) and [`User`](../types.md#user)'
+		);
+	});
+});
+
+describe('getTagName', () => {
+	test.each([
+		['{string} id - Id of the user', 'id'],
+		['{number} [limit=10] - Max', 'limit'],
+		['options.deep - Untyped', 'options.deep'],
+		['{Array<{a: number}>} list - Nested braces', 'list'],
+		['{Object.<string, {x: number}>} [map] - Nested braces', 'map'],
+		['{{ id: string; tags: Array<{ name: string }> }} users[].profile', 'users[].profile'],
+	])('reads the name of %p', (string, name) => {
+		expect(getTagName({ type: 'param', string })).toBe(name);
+	});
+});
+
+describe('@typedef', () => {
+	test('reads types with nested braces', () => {
+		const comment = {
+			tags: [
+				{ type: 'typedef', string: '{Object.<string, {x: number}>} Points' },
+				{ type: 'desc', string: 'Points by name' },
+			],
+			file: 'points.js',
+			line: 1,
+		};
+		const page = { pageName: 'Points', path: 'points.md', sections: { Points: [comment] } };
+		const [data] = getPageData(page, { symbols, pagePath: 'points.md', unresolved: [] }, []).sections[0].comments;
+
+		expect(data.name).toBe('Points');
+		expect(data.typedef.type).toBe('Object.<string, {x: number}>');
+	});
+});
+
+describe('JSDoc tags', () => {
+	const source = `/**
+ * @docs Api // Users // Functions
+ * @desc getUser - Gets a user
+ * @async
+ * @deprecated Use {@link getUsers} instead
+ * @since 1.2.0
+ * @param {string} id - Id of the user
+ * @returns {Promise<User>} The user
+ * @throws {NotFoundError} If no user has this id
+ * @throws When the request fails
+ * @fires user:loaded
+ * @listens session:closed
+ * @example <caption>Get a user</caption>
+ * const user = await getUser('42');
+ * @example
+ * getUser('42').then(console.log);
+ */
+export const getUser = async (id) => null;
+
+/**
+ * @docs Api // Users // Functions
+ * @desc getUsers - Gets the users
+ * @deprecated
+ */
+export const getUsers = () => [];
+
+/**
+ * @docs Api // Users // Types
+ * @typedef {Object} User
+ * @desc A user of the application
+ * @property {string} id - Id of the user
+ * @property {string} [name] - Name of the user
+ */
+`;
+
+	let rootPath = '';
+
+	const renderPage = async () => {
+		const { documents } = await generate({ source: [path.join(rootPath, 'users.js')] }, { write: false });
+		return documents[0].pages.find((p) => p.path === 'users.md').markdown;
+	};
+
+	beforeEach(() => {
+		import.meta.jest.spyOn(console, 'log').mockImplementation(() => {});
+		rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'jsmkdocs-'));
+		fs.writeFileSync(path.join(rootPath, 'users.js'), source);
+	});
+
+	afterEach(() => {
+		import.meta.jest.restoreAllMocks();
+		fs.rmSync(rootPath, { recursive: true, force: true });
+	});
+
+	test('renders @async, @deprecated and @since above the description', async () => {
+		const markdown = await renderPage();
+
+		expect(markdown).toContain(
+			[
+				'*async function* `getUser(id)`',
+				'',
+				'!!! warning "Deprecated"',
+				'    Use [`getUsers`](#getusers) instead',
+				'',
+				'*Since 1.2.0*',
+				'',
+				'Gets a user',
+			].join('\n')
+		);
+		expect(markdown).toContain('!!! warning "Deprecated"\n    This is deprecated.\n\nGets the users');
+	});
+
+	test('lists the errors thrown and the events fired and listened to', async () => {
+		expect(await renderPage()).toContain(
+			[
+				'#### Throws',
+				'- `NotFoundError` If no user has this id',
+				'- When the request fails',
+				'',
+				'#### Fires',
+				'- `user:loaded`',
+				'',
+				'#### Listens',
+				'- `session:closed`',
+			].join('\n')
+		);
+	});
+
+	test('renders the examples as fenced code blocks with their caption', async () => {
+		expect(await renderPage()).toContain(
+			[
+				'#### Examples',
+				'**Get a user**',
+				'',
+				'```javascript',
+				"const user = await getUser('42');",
+				'```',
+				'',
+				'```javascript',
+				"getUser('42').then(console.log);",
+				'```',
+			].join('\n')
+		);
+	});
+
+	test('renders @typedef and @property tags as a type with its properties', async () => {
+		expect(await renderPage()).toContain(
+			[
+				'### User {#user}',
+				'*typedef* `Object`',
+				'',
+				'A user of the application',
+				'<br><br>',
+				'#### Properties',
+				'Name | Type | Description',
+				'--- | --- | ---',
+				'id | `string` | Id of the user',
+				'name *(optional)* | `string` | Name of the user',
+			].join('\n')
+		);
+	});
+});
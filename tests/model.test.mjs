@@ -0,0 +1,136 @@
+import fs from 'fs';
+import { generate } from '../src/api.mjs';
+import os from 'os';
+import path from 'path';
+import { schemaVersion } from '../src/model.mjs';
+
+const source = `/**
+ * @docs Api // Users // Functions
+ * @desc getUser - Gets a user, see {@link User}
+ * @param {string} id - Id of the user
+ * @param {Object} [options] - Options of the request
+ * @param {boolean} [options.deep=false] - Whether the friends are loaded too
+ * @returns {Promise<User>} The user
+ */
+export const getUser = async (id, options) => null;
+
+/**
+ * @docs Api // Types // Users // Models
+ * @typedef {Object} User
+ * @desc A user of the application
+ * @property {string} id - Id of the user
+ */
+
+/**
+ * @docs Guides // Setup // Install
+ * @desc install - Installs the application
+ */
+export function install() {}
+`;
+
+let rootPath = '';
+
+const readModel = (folder) => JSON.parse(fs.readFileSync(path.join(rootPath, 'out', folder, 'docs.json'), 'utf8'));
+
+beforeEach(async () => {
+	import.meta.jest.spyOn(console, 'log').mockImplementation(() => {});
+	rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'jsmkdocs-'));
+	fs.mkdirSync(path.join(rootPath, 'src'));
+	fs.writeFileSync(path.join(rootPath, 'src', 'users.js'), source);
+
+	await generate({ source: [path.join(rootPath, 'src')], output: path.join(rootPath, 'out'), format: 'json' });
+});
+
+afterEach(() => {
+	import.meta.jest.restoreAllMocks();
+	fs.rmSync(rootPath, { recursive: true, force: true });
+});
+
+describe('json format', () => {
+	test('writes the model of each document in its folder', () => {
+		expect(fs.readdirSync(path.join(rootPath, 'out')).sort()).toEqual(['api', 'guides']);
+		expect(fs.readdirSync(path.join(rootPath, 'out', 'api')).filter((fn) => !fn.startsWith('.'))).toEqual([
+			'docs.json',
+		]);
+	});
+
+	test('versions the model and lists the pages, folders and sections of the document', () => {
+		const model = readModel('api');
+
+		expect(schemaVersion).toBe(1);
+		expect(model).toMatchObject({ schemaVersion: 1, name: 'Api', title: 'Api', intro: null });
+		expect(model.pages).toEqual([
+			{
+				title: 'Types',
+				pages: [
+					{
+						title: 'Users',
+						desc: null,
+						path: 'types/users.md',
+						sections: [{ name: 'Models', anchor: 'models', comments: [expect.any(Object)] }],
+					},
+				],
+			},
+			{
+				title: 'Users',
+				desc: null,
+				path: 'users.md',
+				sections: [{ name: 'Functions', anchor: 'functions', comments: [expect.any(Object)] }],
+			},
+		]);
+		expect(readModel('guides')).toMatchObject({ schemaVersion: 1, name: 'Guides', pages: [{ path: 'setup.md' }] });
+	});
+
+	test('normalizes the documented symbols', () => {
+		const [types, users] = readModel('api').pages;
+		const [getUser] = users.sections[0].comments;
+
+		expect(getUser).toEqual({
+			name: 'getUser',
+			anchor: 'getuser',
+			kind: 'function',
+			signature: 'getUser(id, options)',
+			typedef: null,
+			isAsync: false,
+			deprecated: null,
+			since: null,
+			desc: 'Gets a user, see [`User`](types/users.md#user)',
+			params: [
+				{ name: 'id', type: 'string', optional: false, defaultValue: null, desc: 'Id of the user', depth: 0 },
+				{
+					name: 'options',
+					type: 'Object',
+					optional: true,
+					defaultValue: null,
+					desc: 'Options of the request',
+					depth: 0,
+				},
+				{
+					name: 'options.deep',
+					type: 'boolean',
+					optional: true,
+					defaultValue: 'false',
+					desc: 'Whether the friends are loaded too',
+					depth: 1,
+				},
+			],
+			properties: [],
+			data: [],
+			returns: { type: 'Promise<User>', desc: 'The user' },
+			throws: [],
+			fires: [],
+			listens: [],
+			examples: [],
+			see: [],
+			customTags: [],
+			source: { file: expect.stringMatching(/\/src\/users\.js$/u), line: 1 },
+		});
+		expect(types.pages[0].sections[0].comments[0]).toMatchObject({
+			name: 'User',
+			kind: 'typedef',
+			typedef: 'Object',
+			properties: [{ name: 'id', type: 'string', depth: 0 }],
+			source: { line: 11 },
+		});
+	});
+});
@@ -0,0 +1,162 @@
+import fs from 'fs';
+import { getDefaultOptions } from '../src/options.mjs';
+import { getSourceFilePaths, parseFile } from '../src/parser.mjs';
+import os from 'os';
+import path from 'path';
+
+const cwd = process.cwd();
+
+let rootPath = '';
+
+const writeFiles = (fileNames) =>
+	fileNames.forEach((fileName) => {
+		fs.mkdirSync(path.dirname(path.join(rootPath, fileName)), { recursive: true });
+		fs.writeFileSync(path.join(rootPath, fileName), '');
+	});
+
+// Paths of the files found, relative to the root directory and sorted
+const findFiles = (options) =>
+	getSourceFilePaths({ ...getDefaultOptions(), source: ['src'], ...options })
+		.map((fp) => path.relative(rootPath, fp).split(path.sep).join('/'))
+		.sort();
+
+beforeEach(() => {
+	rootPath = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'jsmkdocs-')));
+	process.chdir(rootPath);
+});
+
+afterEach(() => {
+	process.chdir(cwd);
+	fs.rmSync(rootPath, { recursive: true, force: true });
+});
+
+describe('getSourceFilePaths', () => {
+	beforeEach(() => {
+		writeFiles([
+			'src/index.js',
+			'src/lib/users.ts',
+			'src/lib/users.test.js',
+			'src/lib/view.tsx',
+			'src/lib/README.md',
+			'src/vendor/jquery.js',
+			'src/node_modules/dep/index.js',
+			'lib/helpers.js',
+		]);
+	});
+
+	test('finds the files matching the default pattern, outside of the default ignored directories', () => {
+		expect(findFiles()).toEqual([
+			'src/index.js',
+			'src/lib/users.test.js',
+			'src/lib/users.ts',
+			'src/lib/view.tsx',
+			'src/vendor/jquery.js',
+		]);
+	});
+
+	test('expands braces and excludes the files matching negated patterns', () => {
+		expect(findFiles({ pattern: ['**/*.{js,ts}', '!**/*.test.js'] })).toEqual([
+			'src/index.js',
+			'src/lib/users.ts',
+			'src/vendor/jquery.js',
+		]);
+	});
+
+	test('matches the patterns relative to each source', () => {
+		expect(findFiles({ source: ['src', 'lib'], pattern: ['*.js'] })).toEqual(['lib/helpers.js', 'src/index.js']);
+		expect(findFiles({ source: ['src', 'src/lib'], pattern: ['lib/*.ts'] })).toEqual(['src/lib/users.ts']);
+	});
+
+	test('ignores the files and directories matching the ignored globs or names', () => {
+		expect(findFiles({ ignore: ['node_modules', '**/vendor/**', '*.tsx'] })).toEqual([
+			'src/index.js',
+			'src/lib/users.test.js',
+			'src/lib/users.ts',
+		]);
+	});
+
+	test('takes the files given as sources whatever the pattern', () => {
+		expect(findFiles({ source: ['src/lib/README.md', 'src/index.js'] })).toEqual(['src/index.js', 'src/lib/README.md']);
+	});
+});
+
+describe('ignore files', () => {
+	beforeEach(() => {
+		writeFiles([
+			'src/index.js',
+			'src/dist/bundle.js',
+			'src/api.gen.js',
+			'src/keep.gen.js',
+			'src/lib/local.js',
+			'src/lib/users.js',
+			'src/drafts/users.js',
+			'src/generated/types.js',
+		]);
+		fs.writeFileSync(path.join(rootPath, 'src', '.gitignore'), 'dist/\n*.gen.js\n!keep.gen.js\n');
+		fs.writeFileSync(path.join(rootPath, 'src', 'lib', '.gitignore'), 'local.js\n');
+		fs.writeFileSync(path.join(rootPath, 'src', '.jsmkdocsignore'), 'drafts/\n');
+	});
+
+	test('skips the files ignored by .gitignore and .jsmkdocsignore files, nested ones included', () => {
+		expect(findFiles()).toEqual(['src/generated/types.js', 'src/index.js', 'src/keep.gen.js', 'src/lib/users.js']);
+	});
+
+	test('lets nested ignore files take back the files ignored by their parents', () => {
+		fs.writeFileSync(path.join(rootPath, 'src', 'lib', '.gitignore'), '!*.gen.js\n');
+		writeFiles(['src/lib/users.gen.js']);
+
+		expect(findFiles()).toContain('src/lib/users.gen.js');
+	});
+
+	test('applies the ignore files of the directories between the working directory and the sources', () => {
+		fs.writeFileSync(path.join(rootPath, '.gitignore'), 'src/generated/\n');
+
+		expect(findFiles()).not.toContain('src/generated/types.js');
+	});
+
+	test('only reads .jsmkdocsignore files when gitignore is disabled', () => {
+		expect(findFiles({ gitignore: false })).toEqual([
+			'src/api.gen.js',
+			'src/dist/bundle.js',
+			'src/generated/types.js',
+			'src/index.js',
+			'src/keep.gen.js',
+			'src/lib/local.js',
+			'src/lib/users.js',
+		]);
+	});
+});
+
+describe('parseFile', () => {
+	test('parses the files whose tag types dox cannot parse, with those types kept for the validator', () => {
+		fs.writeFileSync(
+			path.join(rootPath, 'users.js'),
+			[
+				'/**',
+				' * @docs Api // Users // Users',
+				' * @desc getUser - Gets a user',
+				' * @param {string|} id - Badly typed',
+				' * @param {{ deep: boolean }} options - Options of the request',
+				' */',
+				'export const getUser = (id, options) => null;',
+				'',
+				'/**',
+				' * @docs Api // Users // Users',
+				' * @desc getUsers - Gets the users',
+				' */',
+				'export const getUsers = () => [];',
+			].join('\n')
+		);
+
+		const comments = parseFile(path.join(rootPath, 'users.js'));
+
+		expect(comments.map((c) => [c.declaration.name, c.line])).toEqual([
+			['getUser', 1],
+			['getUsers', 9],
+		]);
+		expect(comments[0].tags.filter((t) => t.type === 'param').map((t) => t.string)).toEqual([
+			'{string|} id - Badly typed',
+			'{{ deep: boolean }} options - Options of the request',
+		]);
+	});
+});
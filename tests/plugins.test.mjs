@@ -0,0 +1,143 @@
+import fs from 'fs';
+import { generate } from '../src/api.mjs';
+import { loadExtensions } from '../src/plugins.mjs';
+import os from 'os';
+import path from 'path';
+
+const source = `/**
+ * @docs Api // Users // Functions
+ * @desc getUser - Gets a user
+ * @permission users:read
+ */
+export const getUser = (id) => null;
+
+/**
+ * @docs Api // Users // Functions
+ * @desc deleteUser - Deletes a user
+ * @permission users:write
+ * @internal
+ */
+export const deleteUser = (id) => null;
+`;
+
+const permissionsPlugin = `const calls = [];
+
+export default {
+	name: 'permissions',
+	transformComments: (comments) => {
+		calls.push('transformComments');
+		return comments.filter((c) => !c.tags.some((t) => t.type === 'internal'));
+	},
+	transformDocsTrees: (docsTrees) => {
+		calls.push('transformDocsTrees');
+		docsTrees[0].subPages[0].pageName = 'Accounts';
+	},
+	tags: {
+		permission: (tags, comment, { renderLinks }) => {
+			calls.push('tags');
+			return \`**Permissions:** \${tags.map((t) => t.string).join(', ')}, see \${renderLinks('{@link getUser}')}\\n\\n\`;
+		},
+	},
+	transformMarkdown: (markdown, { docsName, path }) => {
+		calls.push('transformMarkdown');
+		return \`\${markdown}\\n<!-- \${docsName} \${path} -->\\n\`;
+	},
+};
+
+export { calls };
+`;
+
+let rootPath = '';
+
+const writeFile = (fileName, text) => {
+	fs.mkdirSync(path.dirname(path.join(rootPath, fileName)), { recursive: true });
+	fs.writeFileSync(path.join(rootPath, fileName), text);
+	return path.join(rootPath, fileName);
+};
+
+const getPlugins = (plugins) => ({ templates: '', plugins: plugins.map((p) => writeFile(p[0], p[1])) });
+
+beforeEach(() => {
+	import.meta.jest.spyOn(console, 'log').mockImplementation(() => {});
+	rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'jsmkdocs-'));
+	writeFile('src/users.js', source);
+});
+
+afterEach(() => {
+	import.meta.jest.restoreAllMocks();
+	fs.rmSync(rootPath, { recursive: true, force: true });
+});
+
+describe('generate', () => {
+	test('runs the hooks of the plugins in order through the pipeline', async () => {
+		const pluginPath = writeFile('plugins/permissions.mjs', permissionsPlugin);
+		const { documents } = await generate(
+			{ source: [path.join(rootPath, 'src')], plugins: [pluginPath] },
+			{ write: false }
+		);
+		const { calls } = await import(pluginPath);
+		const { pages, nav } = documents[0];
+		const usersPage = pages.find((p) => p.path === 'accounts.md').markdown;
+
+		expect([...new Set(calls)]).toEqual(['transformComments', 'transformDocsTrees', 'tags', 'transformMarkdown']);
+		expect(nav[1]).toEqual({ title: 'Accounts', path: 'accounts.md' });
+		expect(usersPage).not.toContain('deleteUser');
+		expect(usersPage).toContain('**Permissions:** users:read, see [`getUser`](#getuser)');
+		expect(usersPage).toMatch(/<!-- Api accounts\.md -->\n$/u);
+		expect(pages.find((p) => p.path === 'index.md').markdown).toMatch(/<!-- Api index\.md -->\n$/u);
+	});
+
+	test('gives each plugin the value returned by the previous one', async () => {
+		const plugins = ['first', 'second'].map((name) =>
+			writeFile(
+				`plugins/${name}.mjs`,
+				`export default { name: '${name}', transformMarkdown: (markdown) => \`\${markdown}${name}\\n\` };`
+			)
+		);
+		const { documents } = await generate({ source: [path.join(rootPath, 'src')], plugins }, { write: false });
+
+		expect(documents[0].pages[0].markdown).toMatch(/first\nsecond\n$/u);
+	});
+
+	test('names the plugin whose hook failed', async () => {
+		const pluginPath = writeFile(
+			'plugins/failing.mjs',
+			"export default { name: 'failing', transformComments: () => { throw new Error('Boom'); } };"
+		);
+
+		await expect(
+			generate({ source: [path.join(rootPath, 'src')], plugins: [pluginPath] }, { write: false })
+		).rejects.toThrow("Plugin 'failing' failed in transformComments: Boom");
+	});
+});
+
+describe('loadExtensions', () => {
+	test('rejects invalid plugins, listing every problem', async () => {
+		const options = getPlugins([
+			[
+				'plugins/a.mjs',
+				"export default { name: 'a', transformPages: () => {}, tags: { desc: () => '', role: () => '' } };",
+			],
+			['plugins/b.mjs', "export default { name: 'b', transformMarkdown: 'footer', tags: { role: () => '' } };"],
+			['plugins/c.mjs', 'export default [];'],
+		]);
+
+		await expect(loadExtensions(options)).rejects.toThrow(
+			[
+				'Invalid plugins:',
+				"Plugin 'a': 'transformPages' is not a valid hook",
+				"Plugin 'a': @desc is a built-in tag",
+				"Plugin 'b': 'transformMarkdown' is not a function",
+				`'${options.plugins[2]}' does not export a plugin object as default`,
+				'@role is handled by several plugins',
+			].join('\n\t')
+		);
+	});
+
+	test('rejects plugins that cannot be found', async () => {
+		await expect(loadExtensions({ templates: '', plugins: ['./missing.mjs'] })).rejects.toThrow('does not exist');
+		await expect(loadExtensions({ templates: '', plugins: ['jsmkdocs-plugin-missing'] })).rejects.toThrow(
+			"Plugin package 'jsmkdocs-plugin-missing' could not be found"
+		);
+	});
+});
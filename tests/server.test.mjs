@@ -0,0 +1,61 @@
+import { fileURLToPath } from 'url';
+import net from 'net';
+import { serve } from '../src/api.mjs';
+
+const fixturesPath = fileURLToPath(new URL('fixtures', import.meta.url));
+
+let server = null;
+
+const getFreePort = () =>
+	new Promise((resolve) => {
+		const probe = net.createServer().listen(0, 'localhost', () => {
+			const { port } = probe.address();
+			probe.close(() => resolve(port));
+		});
+	});
+
+const request = async (urlPath) => {
+	const res = await fetch(new URL(urlPath, server.url), { redirect: 'manual' });
+	return { status: res.status, text: await res.text() };
+};
+
+beforeAll(async () => {
+	import.meta.jest.spyOn(console, 'log').mockImplementation(() => {});
+	server = await serve({ source: [fixturesPath], port: await getFreePort() });
+});
+
+afterAll(async () => {
+	await server?.close();
+	import.meta.jest.restoreAllMocks();
+});
+
+describe('serve', () => {
+	test('serves the pages of the documents', async () => {
+		const { status, text } = await request('/api/users.html');
+
+		expect(status).toBe(200);
+		expect(text).toContain('getUser');
+	});
+
+	test('redirects to the only document', async () => {
+		expect((await request('/')).status).toBe(302);
+	});
+
+	test('answers unknown pages as not found', async () => {
+		expect((await request('/api/missing.html')).status).toBe(404);
+		expect((await request('/Missing/')).status).toBe(404);
+	});
+
+	test.each(['/api/%E0%A4%A', '/%E0%A4%A/index.html', '/api/%zz'])(
+		'answers malformed path %s as a bad request',
+		async (urlPath) => {
+			expect(await request(urlPath)).toEqual({ status: 400, text: 'Bad request' });
+		}
+	);
+
+	test('keeps serving after a bad request', async () => {
+		await request('/api/%E0%A4%A');
+
+		expect((await request('/api/users.html')).status).toBe(200);
+	});
+});
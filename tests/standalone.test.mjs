@@ -0,0 +1,125 @@
+import fs from 'fs';
+import { generate } from '../src/api.mjs';
+import os from 'os';
+import path from 'path';
+
+const source = `/**
+ * @docs Api // Users // Functions
+ * @desc getUser - Gets a user, see {@link User}
+ * @param {string} id - Id of the user
+ * @param {Params} params - Parameters of the request
+ * @returns {Promise<User>} The user
+ */
+export const getUser = async (id, params) => null;
+
+/**
+ * @docs Api // Types // Users // Models
+ * @typedef {Object} User
+ * @desc A user of the application, got by {@link getUser}
+ * @property {string} id - Id of the user
+ */
+
+/**
+ * @docs Api // Wrappers // Models
+ * @typedef {Object} Params
+ * @desc Parameters of the requests
+ */
+`;
+
+let rootPath = '';
+
+const generateFile = async (format) => {
+	await generate({ source: [path.join(rootPath, 'src')], output: path.join(rootPath, format), format });
+
+	const [fileName] = fs.readdirSync(path.join(rootPath, format, 'api')).filter((fn) => !fn.startsWith('.'));
+	return fs.readFileSync(path.join(rootPath, format, 'api', fileName), 'utf8');
+};
+
+beforeEach(() => {
+	import.meta.jest.spyOn(console, 'log').mockImplementation(() => {});
+	rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'jsmkdocs-'));
+	fs.mkdirSync(path.join(rootPath, 'src'));
+	fs.writeFileSync(path.join(rootPath, 'src', 'users.js'), source);
+});
+
+afterEach(() => {
+	import.meta.jest.restoreAllMocks();
+	fs.rmSync(rootPath, { recursive: true, force: true });
+});
+
+describe('single format', () => {
+	test('nests the headings of the pages under the headings of their title and folders', async () => {
+		const headings = (await generateFile('single')).split('\n').filter((l) => l.startsWith('#'));
+
+		expect(headings).toEqual([
+			'# Api <a id="api"></a>',
+			'## Types <a id="types"></a>',
+			'### Users <a id="users"></a>',
+			'#### Models <a id="models"></a>',
+			'##### User <a id="user"></a>',
+			'###### Properties <a id="properties"></a>',
+			'## Users <a id="users_1"></a>',
+			'### Functions <a id="functions"></a>',
+			'#### getUser <a id="getuser"></a>',
+			'##### Params <a id="params"></a>',
+			'##### Returns <a id="returns"></a>',
+			'## Wrappers <a id="wrappers"></a>',
+			'### Models <a id="models_1"></a>',
+			'#### Params <a id="params_1"></a>',
+		]);
+	});
+
+	test('lists the folders, pages and sections in its table of contents', async () => {
+		expect(await generateFile('single')).toContain(
+			[
+				'- [Types](#types)',
+				'  - [Users](#users)',
+				'    - [Models](#models)',
+				'- [Users](#users_1)',
+				'  - [Functions](#functions)',
+				'- [Wrappers](#wrappers)',
+				'  - [Models](#models_1)',
+			].join('\n')
+		);
+	});
+
+	test('links the pages to the headings they became', async () => {
+		const markdown = await generateFile('single');
+
+		expect(markdown).toContain('Gets a user, see [`User`](#user)');
+		expect(markdown).toContain('A user of the application, got by [`getUser`](#getuser)');
+		expect(markdown).toContain('[`Params`](#params_1)');
+		expect(markdown).not.toMatch(/\]\([^)]*\.md/u);
+	});
+});
+
+describe('html format', () => {
+	test('shifts the headings of the pages and gives them their anchor in the file', async () => {
+		const headings = [...(await generateFile('html')).matchAll(/<h(\d) id="([^"]+)">/gu)].map((m) => `${m[1]} ${m[2]}`);
+
+		expect(headings).toEqual([
+			'1 api',
+			'2 types',
+			'3 users',
+			'4 models',
+			'5 user',
+			'6 properties',
+			'2 users_1',
+			'3 functions',
+			'4 getuser',
+			'5 params',
+			'5 returns',
+			'2 wrappers',
+			'3 models_1',
+			'4 params_1',
+		]);
+	});
+
+	test('links the pages to the headings they became', async () => {
+		const html = await generateFile('html');
+		const hrefs = [...html.matchAll(/<a href="([^"]*)"/gu)].map((m) => m[1]);
+
+		expect(hrefs).toEqual(expect.arrayContaining(['#user', '#getuser', '#params_1', '#users_1', '#wrappers']));
+		expect(hrefs.filter((href) => href.includes('.md'))).toEqual([]);
+	});
+});
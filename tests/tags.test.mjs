@@ -0,0 +1,188 @@
+import { parseName, parseType, parseTypedTag } from '../src/tags.mjs';
+import { getPageData } from '../src/markdown.mjs';
+
+const links = () => ({ symbols: new Map(), pagePath: 'page.md', unresolved: [] });
+
+const getParamRows = (paramStrings) => {
+	const comment = {
+		tags: [
+			{ type: 'desc', string: 'getUsers - Gets the users' },
+			...paramStrings.map((string) => ({ type: 'param', string })),
+		],
+		file: 'users.js',
+		line: 1,
+	};
+	const page = { pageName: 'Users', path: 'users.md', sections: { Users: [comment] } };
+
+	return getPageData(page, links(), []).sections[0].comments[0].params;
+};
+
+describe('parseType', () => {
+	test.each([
+		'Object.<string, number>',
+		'Array<string>',
+		'string|null',
+		'?number',
+		'number!',
+		'(string|null)[]',
+		'Map<string, Array<User>>',
+		'{a: number, b}',
+		'{ deep?: boolean; [key: string]: unknown }',
+		'function(string, number=): boolean',
+		'(a?: T) => R',
+		'...string',
+		"'a' | 'b'",
+		'keyof T',
+		'NodeJS.Timeout',
+		'*',
+	])('parses %s', (text) => {
+		expect(parseType(text)).toEqual({ type: text, optional: false });
+	});
+
+	test('normalizes whitespace', () => {
+		expect(parseType('  Object.<string,\n  number> ')).toEqual({ type: 'Object.<string, number>', optional: false });
+	});
+
+	test('reads a trailing = as an optional marker', () => {
+		expect(parseType('number=')).toEqual({ type: 'number', optional: true });
+		expect(parseType('string|null =')).toEqual({ type: 'string|null', optional: true });
+	});
+
+	test.each(['', '   ', 'string|', 'Array<', 'Array<string', '{a: number,', 'a b', '(string', 'string)', '#foo', '=>'])(
+		'rejects %p',
+		(text) => {
+			expect(parseType(text)).toBeNull();
+		}
+	);
+});
+
+describe('parseName', () => {
+	test('parses plain and nested names', () => {
+		expect(parseName('limit - Max')).toEqual({ name: 'limit', optional: false, defaultValue: null, length: 5 });
+		expect(parseName('users[].name')).toEqual({
+			name: 'users[].name',
+			optional: false,
+			defaultValue: null,
+			length: 12,
+		});
+	});
+
+	test('parses optional names and their default values', () => {
+		expect(parseName('[limit]')).toEqual({ name: 'limit', optional: true, defaultValue: null, length: 7 });
+		expect(parseName('[limit=10] - Max')).toEqual({ name: 'limit', optional: true, defaultValue: '10', length: 10 });
+		expect(parseName('[sep = ", "]')).toEqual({ name: 'sep', optional: true, defaultValue: '", "', length: 12 });
+		expect(parseName('[options.tags=[]]')).toEqual({
+			name: 'options.tags',
+			optional: true,
+			defaultValue: '[]',
+			length: 17,
+		});
+	});
+
+	test.each(['', '- desc', '.name', 'a.', 'a..b', '[]', '[a.]', '[limit', '[limit - Max', '[limit Max] desc'])(
+		'rejects %p',
+		(text) => {
+			expect(parseName(text)).toBeNull();
+		}
+	);
+});
+
+describe('parseTypedTag', () => {
+	test('splits a named tag', () => {
+		expect(parseTypedTag('{Object.<string, number>} counts - Count of each word')).toEqual({
+			type: 'Object.<string, number>',
+			name: 'counts',
+			optional: false,
+			defaultValue: null,
+			desc: 'Count of each word',
+		});
+	});
+
+	test('reads optional names and types', () => {
+		expect(parseTypedTag('{number} [limit=10] - Max number of users')).toMatchObject({
+			name: 'limit',
+			optional: true,
+			defaultValue: '10',
+			desc: 'Max number of users',
+		});
+		expect(parseTypedTag('{?number=} offset')).toMatchObject({
+			type: '?number',
+			name: 'offset',
+			optional: true,
+			desc: '',
+		});
+	});
+
+	test('reads nested names', () => {
+		expect(parseTypedTag('{Array<string>} users[].tags Tags of the user')).toMatchObject({
+			type: 'Array<string>',
+			name: 'users[].tags',
+			desc: 'Tags of the user',
+		});
+	});
+
+	test('reads types with braces', () => {
+		expect(parseTypedTag('{{a: string|null}} record - Record')).toMatchObject({
+			type: '{a: string|null}',
+			name: 'record',
+		});
+	});
+
+	test('splits a tag without a name', () => {
+		expect(parseTypedTag('{Promise<User>} - The user', { named: false })).toEqual({
+			type: 'Promise<User>',
+			name: null,
+			optional: false,
+			defaultValue: null,
+			desc: 'The user',
+		});
+	});
+
+	test.each([
+		['without a type', 'name - desc'],
+		['with an unclosed type', '{string name - desc'],
+		['with an invalid type', '{string|} name - desc'],
+		['with an empty type', '{} name - desc'],
+		['without a name', '{string} - desc'],
+		['with an unclosed optional name', '{number} [limit=10 - desc'],
+	])('rejects tags %s', (_case, text) => {
+		expect(parseTypedTag(text)).toBeNull();
+	});
+});
+
+describe('nested rows', () => {
+	test('lists nested names right after their parent', () => {
+		const rows = getParamRows([
+			'{string} users[].name - Name of the user',
+			'{Object} options - Options',
+			'{Object[]} users - Users',
+			'{number} [options.limit=10] - Max number of users',
+			'{string} users[].address.city - City of the user',
+			'{Object} users[].address - Address of the user',
+		]);
+
+		expect(rows.map((r) => [r.name, r.depth])).toEqual([
+			['options', 0],
+			['options.limit', 1],
+			['users', 0],
+			['users[].name', 1],
+			['users[].address', 1],
+			['users[].address.city', 2],
+		]);
+	});
+
+	test('keeps nested names without a documented parent at the top level', () => {
+		const rows = getParamRows(['{string} user.name - Name', '{number} limit - Limit']);
+
+		expect(rows.map((r) => [r.name, r.depth])).toEqual([
+			['user.name', 0],
+			['limit', 0],
+		]);
+	});
+
+	test('skips badly formatted tags', () => {
+		const rows = getParamRows(['{string|} name - Name', '{number} [limit - Limit', '{number} count - Count']);
+
+		expect(rows.map((r) => r.name)).toEqual(['count']);
+	});
+});
@@ -0,0 +1,95 @@
+import fs from 'fs';
+import os from 'os';
+import { parse } from 'yaml';
+import path from 'path';
+import { renderTargetFiles } from '../src/targets.mjs';
+
+const pages = [
+	{ path: 'index.md', markdown: '# Api\n' },
+	{ path: 'users/list.md', markdown: '## Users\n' },
+];
+
+const nav = [
+	{ title: 'Home', path: 'index.md' },
+	{ title: 'Users: "list"', children: [{ title: "Users' list", path: 'users/list.md' }] },
+];
+
+let rootPath = '';
+
+const renderMkdocsYml = (mkdocsTemplate = '') =>
+	renderTargetFiles('Api: v2', pages, nav, { target: 'mkdocs', mkdocsTemplate }).find((f) => f.path === 'mkdocs.yml')
+		.text;
+
+const writeTemplate = (text) => {
+	fs.writeFileSync(path.join(rootPath, 'mkdocs.base.yml'), text);
+	return path.join(rootPath, 'mkdocs.base.yml');
+};
+
+beforeEach(() => {
+	rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'jsmkdocs-'));
+});
+
+afterEach(() => {
+	fs.rmSync(rootPath, { recursive: true, force: true });
+});
+
+describe('mkdocs target', () => {
+	test('writes the pages in the docs folder next to the mkdocs.yml file', () => {
+		expect(renderTargetFiles('Api', pages, nav, { target: 'mkdocs' }).map((f) => f.path)).toEqual([
+			'docs/index.md',
+			'docs/users/list.md',
+			'mkdocs.yml',
+		]);
+	});
+
+	test('lists the pages under the nav key, quoting the titles as needed', () => {
+		expect(parse(renderMkdocsYml())).toEqual({
+			site_name: 'Api: v2',
+			nav: [{ Home: 'index.md' }, { 'Users: "list"': [{ "Users' list": 'users/list.md' }] }],
+			markdown_extensions: ['admonition', 'attr_list'],
+		});
+	});
+
+	test('merges the nav into the template, keeping its other settings', () => {
+		const templatePath = writeTemplate(
+			[
+				'# Site of the API',
+				'site_name: My API',
+				'theme:',
+				'  name: material',
+				'extra:',
+				'  analytics: !ENV ANALYTICS_KEY',
+				'pages:',
+				'  - Old: old.md',
+				'nav:',
+				'  - Home: home.md',
+				'  - GitHub: https://github.com/example/api',
+				'markdown_extensions:',
+				'  - toc:',
+				'      permalink: true',
+				'  - admonition',
+				'',
+			].join('\n')
+		);
+		const text = renderMkdocsYml(templatePath);
+
+		expect(text).toContain('# Site of the API');
+		expect(text).toContain('analytics: !ENV ANALYTICS_KEY');
+		expect(parse(text, { customTags: [{ tag: '!ENV', resolve: (value) => `env:${value}` }] })).toEqual({
+			site_name: 'My API',
+			theme: { name: 'material' },
+			extra: { analytics: 'env:ANALYTICS_KEY' },
+			nav: [
+				{ Home: 'index.md' },
+				{ 'Users: "list"': [{ "Users' list": 'users/list.md' }] },
+				{ GitHub: 'https://github.com/example/api' },
+			],
+			markdown_extensions: [{ toc: { permalink: true } }, 'admonition', 'attr_list'],
+		});
+	});
+
+	test('rejects templates that are not YAML mappings', () => {
+		expect(() => renderMkdocsYml(writeTemplate('nav: [\n'))).toThrow('Could not parse mkdocs template');
+		expect(() => renderMkdocsYml(writeTemplate('- Home: index.md\n'))).toThrow('must be a YAML mapping');
+	});
+});
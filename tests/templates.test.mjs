@@ -0,0 +1,87 @@
+import { defaultTemplates, loadTemplates, renderTemplate } from '../src/templates.mjs';
+import fs from 'fs';
+import { generate } from '../src/api.mjs';
+import os from 'os';
+import path from 'path';
+
+let rootPath = '';
+
+const writeFile = (fileName, text) => {
+	fs.mkdirSync(path.dirname(path.join(rootPath, fileName)), { recursive: true });
+	fs.writeFileSync(path.join(rootPath, fileName), text);
+};
+
+beforeEach(() => {
+	import.meta.jest.spyOn(console, 'log').mockImplementation(() => {});
+	rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'jsmkdocs-'));
+});
+
+afterEach(() => {
+	import.meta.jest.restoreAllMocks();
+	fs.rmSync(rootPath, { recursive: true, force: true });
+});
+
+describe('loadTemplates', () => {
+	test('gives the default templates without a templates directory', async () => {
+		expect(await loadTemplates('')).toBe(defaultTemplates);
+	});
+
+	test('loads the templates of the directory, the default ones standing in for the others', async () => {
+		writeFile('templates/comment.mjs', 'export default (comment) => `- ${comment.name}\\n`;');
+		writeFile(
+			'templates/section.cjs',
+			'module.exports = (section, defaults) => `<!-- house -->\\n${defaults.section(section)}`;'
+		);
+
+		const templates = await loadTemplates(path.join(rootPath, 'templates'));
+
+		expect(renderTemplate(templates, 'comment', { name: 'getUser' })).toBe('- getUser\n');
+		expect(renderTemplate(templates, 'section', { heading: 'Users {#users}', renderedComments: ['- getUser\n'] })).toBe(
+			'<!-- house -->\n## Users {#users}\n\n- getUser\n'
+		);
+		expect(templates.page).toBe(defaultTemplates.page);
+		expect(templates.index).toBe(defaultTemplates.index);
+	});
+
+	test('rejects missing and empty directories, and modules that are not functions', async () => {
+		await expect(loadTemplates(path.join(rootPath, 'missing'))).rejects.toThrow('does not exist');
+
+		fs.mkdirSync(path.join(rootPath, 'templates'));
+		await expect(loadTemplates(path.join(rootPath, 'templates'))).rejects.toThrow(
+			'holds no comment, section, page, index template'
+		);
+
+		writeFile('templates/page.mjs', "export default 'page';");
+		await expect(loadTemplates(path.join(rootPath, 'templates'))).rejects.toThrow('must export a function');
+	});
+});
+
+describe('renderTemplate', () => {
+	test('rejects templates that do not return a string', () => {
+		expect(() => renderTemplate({ ...defaultTemplates, page: () => null }, 'page', {})).toThrow(
+			'The page template must return a string, not object'
+		);
+	});
+});
+
+describe('generate', () => {
+	test('renders the pages with the templates of the directory', async () => {
+		writeFile(
+			'src/users.js',
+			'/**\n * @docs Api // Users // Functions\n * @desc getUser - Gets a user\n * @param {string} id - Id of the user\n */\n'
+		);
+		writeFile(
+			'templates/comment.mjs',
+			'export default (c) => `### ${c.heading}\\n${c.desc}\\n\\n${c.params.map((p) => `* **${p.name}** ${p.typeMarkdown}`).join("\\n")}\\n`;'
+		);
+
+		const { documents } = await generate(
+			{ source: [path.join(rootPath, 'src')], templates: path.join(rootPath, 'templates') },
+			{ write: false }
+		);
+
+		expect(documents[0].pages.find((p) => p.path === 'users.md').markdown).toBe(
+			'## Functions {#functions}\n\n### getUser {#getuser}\nGets a user\n\n* **id** `string`\n'
+		);
+	});
+});
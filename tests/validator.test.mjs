@@ -0,0 +1,98 @@
+import { parseDeclaration } from '../src/declaration.mjs';
+import { getRenderableComments, validateComments } from '../src/validator.mjs';
+
+const comment = (tags, code = '') => ({
+	tags: [{ type: 'docs', string: 'Api // Users // Users' }, ...tags.map(([type, string]) => ({ type, string }))],
+	declaration: parseDeclaration(code),
+	file: 'users.js',
+	line: 3,
+});
+
+const getReasons = (comments) => validateComments(comments).map((p) => p.reason);
+
+describe('validateComments', () => {
+	test('reports the parameters of the declaration that have no @param tag', () => {
+		const code = 'function getUsers(ids, options, { deep }) {}';
+
+		expect(
+			getReasons([
+				comment(
+					[
+						['desc', 'Gets the users'],
+						['param', '{Object} options.limit - Max'],
+					],
+					code
+				),
+			])
+		).toEqual(["param 'ids' of getUsers has no @param tag"]);
+	});
+
+	test('reads the names of parameters whose type has nested braces', () => {
+		const code = 'function getUsers(list, map) {}';
+
+		expect(
+			getReasons([
+				comment(
+					[
+						['desc', 'Gets the users'],
+						['param', '{Array<{a: number}>} list - Users'],
+						['param', '{Object.<string, {x: number}>} map - Users by id'],
+					],
+					code
+				),
+			])
+		).toEqual([]);
+	});
+
+	test('reports the comments that cannot be rendered with their file and line, and leaves them out', () => {
+		const badDocs = comment([['desc', 'getUser - Gets a user']]);
+		badDocs.tags[0].string = 'Api //';
+
+		const noDesc = comment([['param', '{string} id - Id']]);
+		const badDesc = comment([['desc', 'getUsers']]);
+		const valid = comment([['desc', 'getUsers - Gets the users']]);
+		const problems = validateComments([badDocs, noDesc, badDesc, valid]);
+
+		expect(problems.map((p) => ({ file: p.file, line: p.line, reason: p.reason, isFatal: p.isFatal }))).toEqual([
+			{
+				file: 'users.js',
+				line: 3,
+				reason: "@docs 'Api //' is not in the format 'document [// page] // section'",
+				isFatal: true,
+			},
+			{ file: 'users.js', line: 3, reason: '@desc tag is missing', isFatal: true },
+			{
+				file: 'users.js',
+				line: 3,
+				reason: "@desc 'getUsers' is not in the format 'name - description' nor above a named declaration",
+				isFatal: true,
+			},
+		]);
+		expect(getRenderableComments([badDocs, noDesc, badDesc, valid], problems)).toEqual([valid]);
+	});
+
+	test('reports malformed tags, which are skipped without leaving the comment out', () => {
+		const malformed = comment([
+			['desc', 'getUsers - Gets the users'],
+			['param', 'ids - Untyped'],
+			['param', '{string|} query - Badly typed'],
+			['returns', '{} Nothing'],
+			['returns', '{User[]} The users'],
+		]);
+		const problems = validateComments([malformed]);
+
+		expect(problems.map((p) => [p.reason, p.isFatal])).toEqual([
+			[
+				"@param 'ids - Untyped' is not in the format '{type} name - description' or has an invalid type and is skipped",
+				false,
+			],
+			[
+				"@param '{string|} query - Badly typed' is not in the format '{type} name - description' or has an invalid type and is skipped",
+				false,
+			],
+			["@returns '{} Nothing' is not in the format '{type} description' or has an invalid type and is skipped", false],
+			['more than one @returns tag, only the first one is rendered', false],
+		]);
+		expect(getRenderableComments([malformed], problems)).toEqual([malformed]);
+	});
+});
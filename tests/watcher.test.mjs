@@ -0,0 +1,81 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { watch } from '../src/api.mjs';
+
+const timeout = 5000;
+
+let rootPath = '';
+let watcher = null;
+
+const writeSource = (relPath, name) => {
+	const filePath = path.join(rootPath, 'src', relPath);
+
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	fs.writeFileSync(filePath, `/**\n * @docs Api // Users // Users\n * @desc ${name} - Does ${name}\n */\n`);
+};
+
+const readPage = () => {
+	const pagePath = path.join(rootPath, 'out', 'api', 'docs', 'users.md');
+	return fs.existsSync(pagePath) ? fs.readFileSync(pagePath, 'utf8') : '';
+};
+
+const sleep = (ms) =>
+	new Promise((resolve) => {
+		setTimeout(resolve, ms);
+	});
+
+// Resolves once the page documents the given symbol, as watchers are notified asynchronously
+const waitForPage = async (name) => {
+	const start = Date.now();
+
+	while (!readPage().includes(name)) {
+		if (Date.now() - start > timeout) {
+			throw new Error(`The page never documented ${name}`);
+		}
+
+		await sleep(50);
+	}
+};
+
+beforeEach(async () => {
+	import.meta.jest.spyOn(console, 'log').mockImplementation(() => {});
+	rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'jsmkdocs-'));
+	writeSource('users.js', 'getUser');
+	fs.mkdirSync(path.join(rootPath, 'src', 'empty'));
+
+	watcher = await watch({ source: [path.join(rootPath, 'src')], output: path.join(rootPath, 'out') });
+});
+
+afterEach(() => {
+	watcher.close();
+	import.meta.jest.restoreAllMocks();
+	fs.rmSync(rootPath, { recursive: true, force: true });
+});
+
+describe('watch', () => {
+	test('regenerates the documents of the edited files', async () => {
+		expect(readPage()).toContain('getUser');
+
+		writeSource('users.js', 'getUsers');
+
+		await waitForPage('getUsers');
+	});
+
+	test('picks up files added to a new directory', async () => {
+		writeSource('groups/list.js', 'getGroups');
+		await waitForPage('getGroups');
+
+		// Directories created empty are watched once the sources are traversed again
+		fs.mkdirSync(path.join(rootPath, 'src', 'roles'));
+		await sleep(500);
+		writeSource('roles/list.js', 'getRoles');
+		await waitForPage('getRoles');
+	});
+
+	test('picks up files added to a directory that held no source file', async () => {
+		writeSource('empty/accounts.js', 'getAccounts');
+
+		await waitForPage('getAccounts');
+	});
+});
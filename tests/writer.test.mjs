@@ -0,0 +1,165 @@
+import fs from 'fs';
+import { generate } from '../src/api.mjs';
+import os from 'os';
+import path from 'path';
+
+let rootPath = '';
+
+const writeFile = (fileName, text) => {
+	fs.mkdirSync(path.dirname(path.join(rootPath, fileName)), { recursive: true });
+	fs.writeFileSync(path.join(rootPath, fileName), text);
+};
+
+// Markdown of each page of the only document, keyed by path
+const renderPages = async (options = {}) => {
+	const { documents } = await generate({ source: [path.join(rootPath, 'src')], ...options }, { write: false });
+	return new Map(documents[0].pages.map((p) => [p.path, p.markdown]));
+};
+
+beforeEach(() => {
+	import.meta.jest.spyOn(console, 'log').mockImplementation(() => {});
+	rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'jsmkdocs-'));
+});
+
+afterEach(() => {
+	import.meta.jest.restoreAllMocks();
+	fs.rmSync(rootPath, { recursive: true, force: true });
+});
+
+describe('index pages and introductions', () => {
+	beforeEach(() => {
+		writeFile(
+			'src/index.js',
+			[
+				'/**',
+				' * @docs Api // Users // Helpers // Functions',
+				' * @desc format - Formats a user',
+				' * @pageDesc Helpers of the users',
+				' * @docsIntro The API, see {@link format}',
+				' */',
+				'/**',
+				' * @docs Api // Groups // Functions',
+				' * @desc getGroup - Gets a group',
+				' * @pageDesc Groups of users',
+				' */',
+			].join('\n')
+		);
+	});
+
+	test('gives the index page the introduction of the document and a table of contents', async () => {
+		expect((await renderPages()).get('index.md')).toBe(
+			[
+				'# Api',
+				'',
+				'The API, see [`format`](users/helpers.md#format)',
+				'',
+				'## Contents',
+				'',
+				'- [Groups](groups.md)',
+				'  - [Functions](groups.md#functions)',
+				'- Users',
+				'  - [Helpers](users/helpers.md)',
+				'    - [Functions](users/helpers.md#functions)',
+			].join('\n')
+		);
+	});
+
+	test('starts the pages with their introduction', async () => {
+		const pages = await renderPages();
+
+		expect(pages.get('groups.md')).toMatch(/^Groups of users\n\n## Functions \{#functions\}\n/u);
+		expect(pages.get('users/helpers.md')).toMatch(/^Helpers of the users\n\n## Functions/u);
+	});
+
+	test('takes the intro files laid out like the pages over the tags, and reports those matching no page', async () => {
+		writeFile('intros/api/index.md', 'Welcome, see the [groups](groups.md)\n');
+		writeFile('intros/api/users/helpers.md', 'Helpers from a file\n');
+		writeFile('intros/api/missing.md', 'Stale\n');
+
+		const pages = await renderPages({ intros: path.join(rootPath, 'intros') });
+		const logs = console.log.mock.calls.flat().join('\n');
+
+		expect(pages.get('index.md')).toMatch(/^# Api\n\nWelcome, see the \[groups\]\(groups\.md\)\n\n## Contents\n/u);
+		expect(pages.get('users/helpers.md')).toMatch(/^Helpers from a file\n\n## Functions/u);
+		expect(pages.get('groups.md')).toMatch(/^Groups of users\n/u);
+		expect(logs).toContain('"Api" intro file \'missing.md\' does not match any page');
+	});
+});
+
+describe('overview pages', () => {
+	beforeEach(() => {
+		writeFile(
+			'src/index.js',
+			[
+				'/**',
+				' * @docs Api // Users // Helpers',
+				' * @desc format - Formats a user',
+				' */',
+				'/**',
+				' * @docs Api // Users // Accounts // Login',
+				' * @desc login - Logs a user in',
+				' */',
+				'/**',
+				' * @docs Api // Setup',
+				' * @desc install - Installs the API',
+				' */',
+			].join('\n')
+		);
+	});
+
+	test('moves the sections of a folder or of the document to an overview page listed first', async () => {
+		const { documents } = await generate({ source: [path.join(rootPath, 'src')] }, { write: false });
+		const pages = new Map(documents[0].pages.map((p) => [p.path, p.markdown]));
+
+		expect(documents[0].nav).toEqual([
+			{ title: 'Home', path: 'index.md' },
+			{ title: 'Overview', path: 'overview.md' },
+			{
+				title: 'Users',
+				children: [
+					{ title: 'Overview', path: 'users/overview.md' },
+					{ title: 'Accounts', path: 'users/accounts.md' },
+				],
+			},
+		]);
+		expect(pages.get('overview.md')).toMatch(/^## Setup \{#setup\}\n\n### install/u);
+		expect(pages.get('users/overview.md')).toMatch(/^## Helpers \{#helpers\}\n\n### format/u);
+		expect(pages.get('users/accounts.md')).toMatch(/^## Login \{#login\}\n\n### login/u);
+	});
+
+	test('merges the sections of a folder into its own overview page', async () => {
+		writeFile(
+			'src/overview.js',
+			'/**\n * @docs Api // Users // Overview // Basics\n * @desc basics - Basics of users\n */\n'
+		);
+
+		const overview = (await renderPages()).get('users/overview.md');
+
+		expect(overview).toMatch(/^## Basics \{#basics\}\n/u);
+		expect(overview).toContain('## Helpers {#helpers}');
+	});
+
+	test('writes the pages whose paths collide to unique paths, and reports them', async () => {
+		writeFile(
+			'src/lists.js',
+			[
+				'/**',
+				' * @docs Api // User Lists // Functions',
+				' * @desc list - Lists the users',
+				' */',
+				'/**',
+				' * @docs Api // User lists // Functions',
+				' * @desc count - Counts the users',
+				' */',
+			].join('\n')
+		);
+
+		const pages = await renderPages();
+		const logs = console.log.mock.calls.flat().join('\n');
+
+		expect([pages.get('user-lists.md'), pages.get('user-lists-2.md')].join('\n')).toMatch(/### count[^]*### list/u);
+		expect(logs).toMatch(
+			/"Api" '[^']+' would overwrite 'user-lists\.md' and is written to 'user-lists-2\.md' instead/u
+		);
+	});
+});